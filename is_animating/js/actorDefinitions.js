@@ -0,0 +1,121 @@
+// Actor definitions - everything in the scene that is loaded from a model file
+//
+// Each entry is plain data: where the model lives, how to place it, how to
+// touch up its materials, which clip it idles with and which keys control it.
+// Adding another animal is one more entry here; "character": true lets it be
+// cast as shooter or keeper.
+//
+//   url            model file (.glb, .gltf or .fbx); left out, the stand-in
+//                  plays the part from the start
+//   animationFiles clip files (Mixamo FBX "without skin") played on the model's
+//                  skeleton, each clip named after its file, e.g. "kick"
+//   name           display name for banners and the controls panel
+//   position       [x, y, z] before the cast puts it on its spot
+//   rotation       [x, y, z] in radians
+//   scale          uniform scale
+//   textures       folder with Pbr/ and Shaded/ texture sets (see materials.js)
+//   materials      properties copied onto every mesh material, for models
+//                  without a texture folder
+//   animations     manifest mapping roles (idle, kick, save, ...) to clip names,
+//                  or to a list of names to try in order; see resolveAnimationRole
+//   rootMotion     move the root by the hips' floor travel (Mixamo clips)
+//   visibilityKey  key that shows and hides it
+//   animationKeys  keys that play its animations, e.g. { '1': 'idle' }
+//   onLoad         called with the actor once it is in the scene
+//   fallback       builds a stand-in object if the model fails to load; clips
+//                  in its .animations are played like the model's
+//   placeholder    colours and feature ('snout' or 'beak') for the stand-in
+//                  character (see placeholderCharacters.js)
+
+const actorDefinitions = {
+    pig: {
+        url: 'pig/animations/skin/stand.fbx', // The rigged pig, standing
+        animationFiles: [
+            'pig/animations/no_skin/kick.fbx',
+            'pig/animations/no_skin/run.fbx',
+            'pig/animations/no_skin/goal_save.fbx',
+            'pig/animations/no_skin/stand_up.fbx'
+        ],
+        name: 'Pig',
+        character: true,
+        position: [0, 0, -3.90],
+        rotation: [0, 0, 0],
+        scale: 0.01, // Mixamo FBX is in centimetres
+        textures: 'pig/fbx',
+        animations: {
+            idle: 'stand',
+            kick: 'kick',
+            followThrough: 'stand', // No separate follow-through clip in the FBX set
+            run: 'run',
+            save: 'goal_save',
+            standUp: 'stand_up'
+        },
+        rootMotion: true,
+        visibilityKey: 'p',
+        animationKeys: { '1': 'followThrough', '2': 'idle', '3': 'run', '4': 'save', '5': 'kick' },
+        placeholder: { color: 0xF8BBD0, featureColor: 0xF06292, feature: 'snout' },
+        fallback: function(definition) {
+            return createPlaceholderCharacter(definition);
+        }
+    },
+    duck: {
+        // No url: duck/fbx is an unrigged mesh, and the clips in duck/animations
+        // have no skeleton to play on until a rigged duck is exported, so the
+        // duck is played by its stand-in
+        name: 'Duck',
+        character: true,
+        position: [-2.90, 0, 4.30],
+        rotation: [0, Math.PI, 0],
+        animations: { // The clips the stand-in builds, until a rigged duck brings its own
+            idle: 'idle',
+            kick: 'kick',
+            run: 'run',
+            save: 'save',
+            standUp: 'standUp',
+            flip: 'flip',
+            dance: 'dance'
+        },
+        visibilityKey: 'd',
+        animationKeys: { 'q': 'dance', 'w': 'idle', 'e': 'run', 'r': 'save', 't': 'flip' },
+        placeholder: { color: 0xFFF59D, featureColor: 0xFF9800, feature: 'beak' },
+        fallback: function(definition) {
+            return createPlaceholderCharacter(definition);
+        }
+    },
+    ball: {
+        url: 'models/ball.glb',
+        name: 'Ball',
+        position: [-0.80, 0, -1.5],
+        rotation: [0, 0, 0],
+        scale: 0.27,
+        materials: { roughness: 0.7, metalness: 0.1, envMapIntensity: 1.5 },
+        visibilityKey: 'b',
+        onLoad: function(actor) {
+            // Measure the ball for the physics and rest it on the floor
+            ball = actor.object;
+            initBallPhysics(ball);
+            placeBall(ball, ballStartPosition);
+        },
+        fallback: function() {
+            return createSimpleBall();
+        }
+    },
+    net: {
+        url: 'net/fbx/Pbr/base.fbx',
+        name: 'Net',
+        position: [-0.5, 0, 6],
+        rotation: [0, Math.PI, 0],
+        scale: 0.01,
+        textures: 'net/fbx',
+        visibilityKey: 'n',
+        onLoad: function(actor) {
+            // Build the posts and netting the ball can hit
+            net = actor.object;
+            setGoalFromNet(net, ballStartPosition);
+            onGoalReady();
+        },
+        fallback: function() {
+            return createSoccerNet();
+        }
+    }
+};
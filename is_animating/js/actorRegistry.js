@@ -0,0 +1,352 @@
+// Actor registry - loads the models declared in actorDefinitions and keeps track of them
+//
+// Every loaded actor is kept as { id, definition, object, mixer, clips, visible,
+// onClipChange }, which is also what sequence scripts and the keeper AI drive.
+// Characters (and anything else with clips) get an animation mixer and start
+// on their idle clip.
+
+const actorRegistry = {};
+
+// Shown/hidden state, kept separately so it can be set before an actor loads
+const actorVisibility = {};
+
+// Called with each actor once it is in the scene
+const actorLoadListeners = [];
+
+// Actors that failed to load and had no stand-in: id -> error
+const actorLoadFailures = {};
+
+// Called with (id, error) when an actor fails to load and has no stand-in
+const actorFailListeners = [];
+
+// Add a definition at runtime (it still needs loading with loadActor)
+function registerActor(id, definition) {
+    actorDefinitions[id] = definition;
+}
+
+// Load every defined actor
+function loadActors() {
+    Object.keys(actorDefinitions).forEach(loadActor);
+}
+
+// Load one actor's model (and any separate animation files) and put it in the scene
+function loadActor(id) {
+    const definition = actorDefinitions[id];
+    if (!definition) {
+        console.warn(`No actor defined as "${id}"`);
+        return;
+    }
+
+    // No model to load: the stand-in is expected, so there is nothing to fetch or report
+    if (!definition.url) {
+        if (!addStandIn(id, definition)) {
+            failActor(id, new Error(`${definition.name} has no model and no stand-in`));
+        }
+        console.log(`${definition.name} is played by its stand-in`);
+        return;
+    }
+
+    loadModelFile(definition.url, definition.name)
+        .then(model => loadAnimationFiles(definition, model))
+        .then(model => {
+            const object = model.object;
+
+            // A character without a rig and clips can't dive, react or be hit, so it gets the stand-in
+            if (definition.character && (!modelHasSkeleton(object) || model.clips.length === 0)) {
+                throw new Error(`${definition.url} has no rigged, animated character`);
+            }
+
+            // Place the model
+            if (definition.position) object.position.fromArray(definition.position);
+            if (definition.rotation) object.rotation.fromArray(definition.rotation);
+            if (definition.scale) object.scale.setScalar(definition.scale);
+
+            // Enable shadows and apply the material overrides
+            object.traverse(function (child) {
+                if (child.isMesh) {
+                    child.castShadow = true;
+                    child.receiveShadow = true;
+
+                    if (child.material && definition.materials) {
+                        const materials = Array.isArray(child.material) ? child.material : [child.material];
+                        materials.forEach(material => {
+                            Object.assign(material, definition.materials);
+                            material.needsUpdate = true;
+                        });
+                    }
+                }
+            });
+
+            scene.add(object);
+            addActor(id, object, model.clips);
+
+            console.log(`${definition.name} model loaded from ${definition.url}`);
+        })
+        .catch(error => {
+            console.error(`An error happened loading the ${definition.name} model`, error);
+
+            // Fall back to a stand-in if there is one
+            if (addStandIn(id, definition)) {
+                showErrorToast(`Couldn't load the ${definition.name} model (${definition.url}), showing a stand-in`);
+                return;
+            }
+
+            showErrorToast(`Couldn't load the ${definition.name} model (${definition.url})`);
+            failActor(id, error);
+        });
+}
+
+// Put the definition's stand-in in the scene as the actor; false if it has none
+function addStandIn(id, definition) {
+    const object = definition.fallback ? definition.fallback(definition) : null;
+    if (!object) return false;
+
+    if (!object.parent) scene.add(object);
+    addActor(id, object, object.animations, true);
+    return true;
+}
+
+// Give up on an actor for good, so nothing waits for it
+function failActor(id, error) {
+    actorLoadFailures[id] = error;
+    actorFailListeners.forEach(listener => listener(id, error));
+}
+
+// Load a .glb/.gltf or .fbx file as { object, clips }
+// FBX clips come out of Mixamo as "mixamo.com", so they're named after the file instead
+function loadModelFile(url, label) {
+    const isFbx = /\.fbx$/i.test(url);
+    const loader = isFbx ? new THREE.FBXLoader(loadingManager) : new THREE.GLTFLoader(loadingManager);
+
+    labelLoadingAsset(url, `${label}: ${url.split('/').pop()}`);
+
+    return new Promise((resolve, reject) => {
+        loader.load(
+            url,
+            function (result) {
+                const object = isFbx ? result : result.scene;
+                const clips = result.animations || [];
+
+                if (isFbx) {
+                    const fileName = url.split('/').pop().replace(/\.fbx$/i, '');
+                    clips.forEach((clip, index) => {
+                        clip.name = index === 0 ? fileName : `${fileName}_${index}`;
+                    });
+                }
+
+                resolve({ object: object, clips: clips });
+            },
+            function (xhr) {
+                updateLoadingAssetProgress(url, xhr);
+            },
+            reject
+        );
+    });
+}
+
+// Load the definition's separate animation files and add their clips to the model
+// A file that fails to load is reported and skipped rather than losing the whole model
+function loadAnimationFiles(definition, model) {
+    const files = definition.animationFiles || [];
+    if (files.length === 0) return model;
+
+    // Clips only play on a skeleton with matching bone names
+    if (!modelHasSkeleton(model.object)) {
+        console.warn(`${definition.name}: ${definition.url} has no skeleton, so its ${files.length} animation files can't be attached`);
+        return model;
+    }
+
+    return Promise.all(files.map(url =>
+        loadModelFile(url, definition.name)
+            .then(animation => animation.clips)
+            .catch(error => {
+                console.error(`${definition.name}: couldn't load animation file ${url}`, error);
+                showErrorToast(`Couldn't load the ${definition.name} animation ${url.split('/').pop()}`);
+                return [];
+            })
+    )).then(clipLists => {
+        clipLists.forEach(clips => model.clips.push(...clips));
+        return model;
+    });
+}
+
+// Whether a model has bones to play clips on
+function modelHasSkeleton(object) {
+    let hasSkeleton = false;
+    object.traverse(node => {
+        if (node.isBone) hasSkeleton = true;
+    });
+    return hasSkeleton;
+}
+
+// Record a loaded object (or a stand-in for one that failed) as an actor and start its idle clip
+function addActor(id, object, clips, isFallback) {
+    const definition = actorDefinitions[id];
+    const actor = {
+        id: id,
+        definition: definition,
+        object: object,
+        mixer: null,
+        clips: clips || [],
+        isFallback: !!isFallback,
+        visible: isActorVisible(id),
+        onClipChange: function(clipName) {
+            logActiveClip(id, clipName);
+        }
+    };
+
+    object.visible = actor.visible;
+    actorRegistry[id] = actor;
+
+    // Drawn part way between simulation steps
+    addInterpolatedObject(object);
+
+    // Animated actors get a mixer and start idling
+    if (actor.clips.length > 0) {
+        actor.mixer = new THREE.AnimationMixer(object);
+        console.log(`${definition.name} animations:`, actor.clips.map(clip => clip.name));
+        checkAnimationManifest(actor);
+
+        // Drive the root from the hips' travel rather than letting the hips wander off
+        if (definition.rootMotion) setupRootMotion(actor);
+
+        playIdleClip(actor);
+    }
+
+    // Dress it in the current look if it ships with textures, so they are loading before anyone hears of it
+    applyMaterialLook(actor, currentMaterialLook);
+
+    if (definition.onLoad) definition.onLoad(actor);
+    actorLoadListeners.forEach(listener => listener(actor));
+
+    return actor;
+}
+
+// Look up a loaded actor
+function getActor(id) {
+    return actorRegistry[id] || null;
+}
+
+// Display name for an actor, e.g. "Pig"
+function getActorName(id) {
+    const definition = actorDefinitions[id];
+    return definition ? definition.name : id;
+}
+
+// Ids of the actors that can be cast as shooter or keeper
+function getCharacterIds() {
+    return Object.keys(actorDefinitions).filter(id => actorDefinitions[id].character);
+}
+
+// Find the clip an actor plays for a role in its animation manifest, e.g. 'kick'
+// Reports what is wrong and returns null if the role or its clip is missing
+function resolveAnimationRole(actor, role) {
+    const manifest = actor.definition.animations || {};
+    const name = actor.definition.name;
+
+    if (!manifest[role]) {
+        console.error(`${name} has no "${role}" animation in its manifest (roles: ${Object.keys(manifest).join(', ') || 'none'})`);
+        return null;
+    }
+
+    const clip = findClipByName(actor.clips, manifest[role]);
+    if (!clip) {
+        console.error(`${name}'s "${role}" animation is mapped to ${JSON.stringify(manifest[role])}, but the model has no such clip (clips: ${actor.clips.map(c => c.name).join(', ')})`);
+    }
+
+    return clip;
+}
+
+// Find a clip by name: exact match first, then a case-insensitive partial match
+// names can be a single name or a list of names to try in order
+function findClipByName(clips, names) {
+    const candidates = Array.isArray(names) ? names : [names];
+
+    for (let i = 0; i < candidates.length; i++) {
+        const exact = clips.find(clip => clip.name === candidates[i]);
+        if (exact) return exact;
+
+        const partial = clips.find(clip => clip.name.toLowerCase().includes(candidates[i].toLowerCase()));
+        if (partial) return partial;
+    }
+
+    return null;
+}
+
+// Report every role in an actor's manifest that its model can't play
+function checkAnimationManifest(actor) {
+    const manifest = actor.definition.animations;
+    if (!manifest) {
+        console.error(`${actor.definition.name} has animations but no animation manifest`);
+        return;
+    }
+
+    Object.keys(manifest).forEach(role => resolveAnimationRole(actor, role));
+}
+
+// Stop whatever the actor is doing and go back to idling
+function playIdleClip(actor) {
+    if (!actor || !actor.mixer) return;
+
+    actor.mixer.stopAllAction();
+
+    const clip = resolveAnimationRole(actor, 'idle');
+    if (!clip) return;
+
+    const action = actor.mixer.clipAction(clip);
+    action.reset();
+    action.play();
+
+    logActiveClip(actor.id, clip.name);
+}
+
+// Play the clip for one of an actor's animation roles
+function playActorRole(id, role) {
+    const actor = getActor(id);
+    if (!actor || !actor.mixer) return;
+
+    const clip = resolveAnimationRole(actor, role);
+    if (!clip) return;
+
+    actor.mixer.stopAllAction();
+
+    const action = actor.mixer.clipAction(clip);
+    action.reset();
+    action.play();
+
+    logActiveClip(id, clip.name);
+}
+
+// Log the clip an actor has switched to
+function logActiveClip(id, clipName) {
+    console.log(`Active ${id} animation: ${clipName}`);
+}
+
+// Show or hide an actor
+function setActorVisible(id, visible) {
+    actorVisibility[id] = visible;
+
+    const actor = getActor(id);
+    if (actor) {
+        actor.visible = visible;
+        actor.object.visible = visible;
+    }
+
+    console.log(`${getActorName(id)} visibility: ${visible ? 'shown' : 'hidden'}`);
+}
+
+// Is an actor shown (everything starts shown)
+function isActorVisible(id) {
+    return actorVisibility[id] !== false;
+}
+
+// Advance every actor's animations and move them by their root motion
+function updateActorMixers(delta) {
+    Object.keys(actorRegistry).forEach(id => {
+        const actor = actorRegistry[id];
+        if (!actor.mixer) return;
+
+        actor.mixer.update(delta);
+        applyRootMotion(actor, delta);
+    });
+}
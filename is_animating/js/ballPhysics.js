@@ -0,0 +1,466 @@
+// Ball physics - gravity, drag, spin, bounces, rolling and goal frame collisions
+//
+// Distances are in scene units (treated as metres) and times in seconds.
+
+// Tunable physics settings
+const ballPhysicsSettings = {
+    gravity: 9.81,
+    dragFactor: 0.015,       // Quadratic air drag per unit of speed
+    magnusFactor: 0.002,     // Sideways lift from spin (curl and dip)
+    spinDecay: 0.4,          // Fraction of spin lost per second in the air
+    restitution: 0.6,        // Bounciness off the floor
+    groundFriction: 0.4,     // Sliding friction against the floor
+    rollingResistance: 0.08, // Slows a rolling ball down
+    postRestitution: 0.7,    // Bounciness off the posts and crossbar
+    keeperRestitution: 0.4,  // How hard the keeper parries the ball
+    netRestitution: 0.1,     // The netting swallows most of the speed
+    netFriction: 0.6,
+    postRadius: 0.05,
+    restSpeed: 0.05,         // Below this speed on the floor the ball stops
+    maxStep: 1 / 240         // Largest integration step
+};
+
+// Current state of the ball (position is the centre of the ball)
+const ballState = {
+    position: new THREE.Vector3(),
+    velocity: new THREE.Vector3(),
+    spin: new THREE.Vector3(),  // Angular velocity in radians per second
+    radius: 0.15,
+    moving: false,
+    onGround: true,
+    ignoreKeeper: false // Only set while predicting a path
+};
+
+// Colliders for the goal frame, rebuilt whenever the net changes
+let goalFrame = null;
+let goalColliders = { posts: [], netting: [] };
+
+// Spheres following the keeper's bones: { name, bone, radius, center }
+let keeperColliders = [];
+
+// Functions called when the ball touches something: fn(type, collider)
+const ballContactListeners = [];
+let ballContactsMuted = false; // Set while predicting so listeners only hear real contacts
+
+// Reusable vectors for the integrator
+const _ballAccel = new THREE.Vector3();
+const _ballTemp = new THREE.Vector3();
+const _ballContact = new THREE.Vector3();
+const _ballSpinAxis = new THREE.Vector3();
+const _ballSpinQuat = new THREE.Quaternion();
+const _segmentOffset = new THREE.Vector3();
+const _floorNormal = new THREE.Vector3(0, 1, 0);
+
+// Measure the ball model and centre it on its pivot so it spins about its middle
+function initBallPhysics(object) {
+    object.updateMatrixWorld(true);
+    const box = new THREE.Box3().setFromObject(object);
+    const size = box.getSize(new THREE.Vector3());
+    const center = box.getCenter(new THREE.Vector3());
+
+    ballState.radius = Math.max(size.x, size.y, size.z) / 2;
+
+    // Shift the children so the object's origin sits at the centre of the ball
+    const localCenter = object.worldToLocal(center.clone());
+    if (localCenter.lengthSq() > 1e-8) {
+        object.children.forEach(child => child.position.sub(localCenter));
+        if (object.geometry) object.geometry.translate(-localCenter.x, -localCenter.y, -localCenter.z);
+    }
+
+    console.log(`Ball physics ready (radius ${ballState.radius.toFixed(3)})`);
+}
+
+// Put the ball at rest on the floor at a ground position
+function placeBall(object, groundPosition) {
+    ballState.position.set(groundPosition.x, ballState.radius, groundPosition.z);
+    ballState.velocity.set(0, 0, 0);
+    ballState.spin.set(0, 0, 0);
+    ballState.moving = false;
+    ballState.onGround = true;
+
+    object.position.copy(ballState.position);
+    object.quaternion.identity();
+}
+
+// Launch the ball with a velocity and spin
+function launchBall(velocity, spin) {
+    ballState.velocity.copy(velocity);
+    ballState.spin.copy(spin || _ballTemp.set(0, 0, 0));
+    ballState.moving = true;
+    ballState.onGround = false;
+}
+
+// Turn shot parameters into a launch velocity and spin
+// power is the launch speed, yaw turns the shot left/right of straight at the goal,
+// loft is the launch angle above the floor, curl and topspin are in radians per second
+function createShotVelocity(shot) {
+    const direction = goalFrame ? goalFrame.direction : 1;
+    const horizontal = shot.power * Math.cos(shot.loft);
+
+    const velocity = new THREE.Vector3(
+        Math.sin(shot.yaw) * horizontal * direction,
+        Math.sin(shot.loft) * shot.power,
+        Math.cos(shot.yaw) * horizontal * direction
+    );
+
+    // Topspin rotates about the horizontal axis across the shot, curl about the vertical
+    const across = new THREE.Vector3(velocity.z, 0, -velocity.x).normalize();
+    const spin = across.multiplyScalar(shot.topspin || 0);
+    spin.y += shot.curl || 0;
+
+    return { velocity: velocity, spin: spin };
+}
+
+// Build the goal frame and its colliders from the net's bounding box
+// The mouth of the goal is the side of the box facing the ball's start position
+function setGoalFromNet(netObject, ballStart) {
+    netObject.updateMatrixWorld(true);
+    const box = new THREE.Box3().setFromObject(netObject);
+
+    const direction = ballStart.z < (box.min.z + box.max.z) / 2 ? 1 : -1;
+    const lineZ = direction > 0 ? box.min.z : box.max.z;
+    const backZ = direction > 0 ? box.max.z : box.min.z;
+    const r = ballPhysicsSettings.postRadius;
+
+    goalFrame = {
+        left: box.min.x + r,
+        right: box.max.x - r,
+        crossbar: box.max.y - r,
+        lineZ: lineZ,
+        backZ: backZ,
+        direction: direction, // +1 when the ball travels towards +z to reach the goal
+        center: new THREE.Vector3((box.min.x + box.max.x) / 2, (box.max.y - r) / 2, lineZ)
+    };
+
+    const bottom = 0;
+    const top = goalFrame.crossbar;
+
+    goalColliders = {
+        // Posts and crossbar as capsules along the goal line
+        posts: [
+            { name: 'leftPost', start: new THREE.Vector3(goalFrame.left, bottom, lineZ), end: new THREE.Vector3(goalFrame.left, top, lineZ) },
+            { name: 'rightPost', start: new THREE.Vector3(goalFrame.right, bottom, lineZ), end: new THREE.Vector3(goalFrame.right, top, lineZ) },
+            { name: 'crossbar', start: new THREE.Vector3(goalFrame.left, top, lineZ), end: new THREE.Vector3(goalFrame.right, top, lineZ) }
+        ],
+        // Netting as bounded planes around the back of the goal
+        netting: [
+            { name: 'backNet', normal: new THREE.Vector3(0, 0, 1), offset: backZ, min: new THREE.Vector3(goalFrame.left, bottom, 0), max: new THREE.Vector3(goalFrame.right, top, 0) },
+            { name: 'leftNet', normal: new THREE.Vector3(1, 0, 0), offset: goalFrame.left, min: new THREE.Vector3(0, bottom, Math.min(lineZ, backZ)), max: new THREE.Vector3(0, top, Math.max(lineZ, backZ)) },
+            { name: 'rightNet', normal: new THREE.Vector3(1, 0, 0), offset: goalFrame.right, min: new THREE.Vector3(0, bottom, Math.min(lineZ, backZ)), max: new THREE.Vector3(0, top, Math.max(lineZ, backZ)) },
+            { name: 'roofNet', normal: new THREE.Vector3(0, 1, 0), offset: top, min: new THREE.Vector3(goalFrame.left, 0, Math.min(lineZ, backZ)), max: new THREE.Vector3(goalFrame.right, 0, Math.max(lineZ, backZ)) }
+        ]
+    };
+
+    console.log("Goal frame built from net:", goalFrame);
+}
+
+// Advance the ball simulation and copy the result onto the ball object
+function stepBallPhysics(object, delta) {
+    if (!ballState.moving) return;
+
+    // Split long frames into small steps so fast shots don't tunnel through posts
+    const steps = Math.max(1, Math.ceil(delta / ballPhysicsSettings.maxStep));
+    const dt = delta / steps;
+
+    // Keeper bones move with the animation, so sample them once per frame
+    updateKeeperColliders();
+
+    for (let i = 0; i < steps && ballState.moving; i++) {
+        integrateBall(dt);
+        rotateBallObject(object, dt);
+    }
+
+    object.position.copy(ballState.position);
+}
+
+// Predict the path of a shot without moving the real ball
+// Returns samples of { time, position } every sampleInterval seconds
+function predictBallPath(start, velocity, spin, duration, sampleInterval, ignoreKeeper) {
+    // Keep the real state so we can put it back afterwards
+    const saved = {
+        position: ballState.position.clone(),
+        velocity: ballState.velocity.clone(),
+        spin: ballState.spin.clone(),
+        moving: ballState.moving,
+        onGround: ballState.onGround
+    };
+
+    ballState.position.copy(start);
+    ballState.velocity.copy(velocity);
+    ballState.spin.copy(spin);
+    ballState.moving = true;
+    ballState.onGround = false;
+    ballState.ignoreKeeper = !!ignoreKeeper;
+    ballContactsMuted = true;
+
+    const dt = ballPhysicsSettings.maxStep;
+    const samples = [{ time: 0, position: start.clone() }];
+    let nextSample = sampleInterval;
+
+    for (let time = dt; time <= duration && ballState.moving; time += dt) {
+        integrateBall(dt);
+        if (time >= nextSample) {
+            samples.push({ time: time, position: ballState.position.clone() });
+            nextSample += sampleInterval;
+        }
+    }
+
+    // Put the real ball back
+    ballState.position.copy(saved.position);
+    ballState.velocity.copy(saved.velocity);
+    ballState.spin.copy(saved.spin);
+    ballState.moving = saved.moving;
+    ballState.onGround = saved.onGround;
+    ballState.ignoreKeeper = false;
+    ballContactsMuted = false;
+
+    return samples;
+}
+
+// One integration step
+function integrateBall(dt) {
+    const settings = ballPhysicsSettings;
+    const v = ballState.velocity;
+    const w = ballState.spin;
+    const speed = v.length();
+
+    // Gravity, quadratic drag and Magnus lift
+    _ballAccel.set(0, -settings.gravity, 0);
+    _ballAccel.addScaledVector(v, -settings.dragFactor * speed);
+    _ballTemp.crossVectors(w, v).multiplyScalar(settings.magnusFactor);
+    _ballAccel.add(_ballTemp);
+
+    // Semi-implicit Euler
+    v.addScaledVector(_ballAccel, dt);
+    ballState.position.addScaledVector(v, dt);
+
+    // Spin slowly dies away in the air
+    if (!ballState.onGround) {
+        w.multiplyScalar(Math.max(0, 1 - settings.spinDecay * dt));
+    }
+
+    collideWithFloor(dt);
+    collideWithPosts();
+    collideWithNetting();
+    if (!ballState.ignoreKeeper) collideWithKeeper();
+
+    // Come to rest once the ball is barely rolling
+    if (ballState.onGround && v.length() < settings.restSpeed) {
+        v.set(0, 0, 0);
+        w.set(0, 0, 0);
+        ballState.moving = false;
+    }
+}
+
+// Bounce off and roll along the floor plane (y = 0)
+function collideWithFloor(dt) {
+    const settings = ballPhysicsSettings;
+    const r = ballState.radius;
+    const v = ballState.velocity;
+
+    if (ballState.position.y > r) {
+        ballState.onGround = false;
+        return;
+    }
+
+    ballState.position.y = r;
+
+    // Normal impulse: bounce, or just rest on the floor if the bounce is tiny
+    let normalImpulse;
+    if (v.y < -0.5) {
+        normalImpulse = -v.y * (1 + settings.restitution);
+        v.y = -v.y * settings.restitution;
+        notifyBallContact('floor', null);
+    } else {
+        normalImpulse = Math.max(0, -v.y) + settings.gravity * dt;
+        v.y = 0;
+        ballState.onGround = true;
+    }
+
+    applyContactFriction(_floorNormal, normalImpulse, settings.groundFriction);
+
+    // Rolling resistance on a ball that is sitting on the floor
+    if (ballState.onGround) {
+        const horizontalSpeed = Math.hypot(v.x, v.z);
+        if (horizontalSpeed > 0) {
+            const slow = Math.min(horizontalSpeed, settings.rollingResistance * settings.gravity * dt);
+            v.x -= (v.x / horizontalSpeed) * slow;
+            v.z -= (v.z / horizontalSpeed) * slow;
+        }
+    }
+}
+
+// Friction at a contact point trades slip for spin (hollow sphere, I = 2/3 m r²)
+function applyContactFriction(normal, normalImpulse, friction) {
+    const r = ballState.radius;
+    const v = ballState.velocity;
+    const w = ballState.spin;
+
+    // Velocity of the contact point: v + w × (-r n), minus its normal part
+    _ballContact.copy(normal).multiplyScalar(-r);
+    _ballTemp.crossVectors(w, _ballContact).add(v);
+    _ballTemp.addScaledVector(normal, -_ballTemp.dot(normal));
+
+    const slip = _ballTemp.length();
+    if (slip < 1e-6) return;
+
+    // Impulse needed to stop the slip, capped by the friction limit
+    const impulse = Math.min(slip / 2.5, friction * normalImpulse);
+    _ballTemp.multiplyScalar(-impulse / slip);
+
+    v.add(_ballTemp);
+    _ballSpinAxis.crossVectors(_ballContact, _ballTemp).multiplyScalar(1.5 / (r * r));
+    w.add(_ballSpinAxis);
+}
+
+// Bounce off the posts and crossbar
+function collideWithPosts() {
+    const settings = ballPhysicsSettings;
+    const minDistance = ballState.radius + settings.postRadius;
+
+    goalColliders.posts.forEach(post => {
+        closestPointOnSegment(ballState.position, post.start, post.end, _ballContact);
+        _ballTemp.subVectors(ballState.position, _ballContact);
+        const distance = _ballTemp.length();
+
+        if (distance >= minDistance || distance === 0) return;
+
+        const normal = _ballTemp.divideScalar(distance);
+        const approach = ballState.velocity.dot(normal);
+
+        // Push the ball out of the post
+        ballState.position.copy(_ballContact).addScaledVector(normal, minDistance);
+
+        if (approach < 0) {
+            const normalImpulse = -approach * (1 + settings.postRestitution);
+            ballState.velocity.addScaledVector(normal, normalImpulse);
+            applyContactFriction(normal.clone(), normalImpulse, 0.2);
+            notifyBallContact('post', post);
+        }
+    });
+}
+
+// Soft collisions with the netting planes
+function collideWithNetting() {
+    const settings = ballPhysicsSettings;
+    const r = ballState.radius;
+    const p = ballState.position;
+
+    goalColliders.netting.forEach(netPlane => {
+        const n = netPlane.normal;
+
+        // Only within the bounds of this piece of netting
+        if ((n.x === 0 && (p.x < netPlane.min.x || p.x > netPlane.max.x)) ||
+            (n.y === 0 && (p.y < netPlane.min.y || p.y > netPlane.max.y)) ||
+            (n.z === 0 && (p.z < netPlane.min.z || p.z > netPlane.max.z))) {
+            return;
+        }
+
+        const distance = p.dot(n) - netPlane.offset;
+        if (Math.abs(distance) >= r) return;
+
+        // Push out to whichever side the ball is moving away from
+        const approach = ballState.velocity.dot(n);
+        const side = approach > 0 ? -1 : 1;
+        p.addScaledVector(n, side * r - distance);
+
+        if (approach * side < 0) {
+            const normalSpeed = Math.abs(approach);
+            ballState.velocity.addScaledVector(n, side * normalSpeed * (1 + settings.netRestitution));
+
+            // The netting drags on the ball as it bulges
+            _ballTemp.copy(ballState.velocity).addScaledVector(n, -ballState.velocity.dot(n));
+            ballState.velocity.addScaledVector(_ballTemp, -settings.netFriction);
+            notifyBallContact('net', netPlane);
+        }
+    });
+}
+
+// Bounce off the keeper's hands, arms, head and body
+function collideWithKeeper() {
+    keeperColliders.forEach(collider => {
+        const minDistance = ballState.radius + collider.radius;
+        _ballTemp.subVectors(ballState.position, collider.center);
+        const distance = _ballTemp.length();
+
+        if (distance >= minDistance || distance === 0) return;
+
+        const normal = _ballTemp.divideScalar(distance);
+        const approach = ballState.velocity.dot(normal);
+
+        ballState.position.copy(collider.center).addScaledVector(normal, minDistance);
+
+        if (approach < 0) {
+            ballState.velocity.addScaledVector(normal, -approach * (1 + ballPhysicsSettings.keeperRestitution));
+            ballState.spin.multiplyScalar(0.5);
+            notifyBallContact('keeper', collider);
+        }
+    });
+}
+
+// Build keeper colliders from a character's Mixamo bones
+// Radii are fractions of the character's height so any size of keeper works
+function setKeeperBody(object) {
+    const parts = {
+        mixamorigHips: 0.14,
+        mixamorigSpine2: 0.14,
+        mixamorigHead: 0.1,
+        mixamorigLeftForeArm: 0.06,
+        mixamorigRightForeArm: 0.06,
+        mixamorigLeftHand: 0.08,
+        mixamorigRightHand: 0.08,
+        mixamorigLeftLeg: 0.07,
+        mixamorigRightLeg: 0.07,
+        mixamorigLeftFoot: 0.06,
+        mixamorigRightFoot: 0.06
+    };
+
+    keeperColliders = [];
+
+    if (!object) return;
+
+    object.updateMatrixWorld(true);
+    const height = new THREE.Box3().setFromObject(object).getSize(new THREE.Vector3()).y;
+
+    object.traverse(node => {
+        if (node.isBone && parts[node.name]) {
+            keeperColliders.push({
+                name: node.name,
+                bone: node,
+                radius: parts[node.name] * height,
+                center: new THREE.Vector3()
+            });
+        }
+    });
+
+    console.log(`Keeper body built from ${keeperColliders.length} bones`);
+}
+
+// Move the keeper colliders to where the bones are now
+function updateKeeperColliders() {
+    keeperColliders.forEach(collider => collider.bone.getWorldPosition(collider.center));
+}
+
+// Spin the ball object by its angular velocity
+function rotateBallObject(object, dt) {
+    const angle = ballState.spin.length() * dt;
+    if (angle === 0) return;
+
+    _ballSpinAxis.copy(ballState.spin).normalize();
+    _ballSpinQuat.setFromAxisAngle(_ballSpinAxis, angle);
+    object.quaternion.premultiply(_ballSpinQuat);
+}
+
+// Closest point to p on the segment a-b
+function closestPointOnSegment(p, a, b, target) {
+    target.subVectors(b, a);
+    const lengthSq = target.lengthSq();
+    const t = lengthSq > 0 ? THREE.MathUtils.clamp(_segmentOffset.subVectors(p, a).dot(target) / lengthSq, 0, 1) : 0;
+    return target.multiplyScalar(t).add(a);
+}
+
+// Tell listeners the ball hit something
+function notifyBallContact(type, collider) {
+    if (ballContactsMuted) return;
+    ballContactListeners.forEach(listener => listener(type, collider));
+}
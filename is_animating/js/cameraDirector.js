@@ -0,0 +1,159 @@
+// Camera director - cinematic camera shots scheduled by the action sequence
+//
+// A shot places the camera every frame from what it is looking at: the ball
+// in flight, the goal, the keeper. Sequence scripts cut to a shot with the
+// "cameraShot" action (a cue, or one of a step's actions), and the camera
+// blends from wherever it is into the new shot over the shot's blend time
+// (a blend of 0 is a hard cut). Shots run on real time, like the other
+// camera moves, so they stay smooth through pauses and slow motion.
+//
+// The director only drives the camera during a sequence, and gives it up
+// for the rest of that sequence as soon as the camera is dragged by hand.
+// Resetting the scene or the camera (Space) stops it too, and it leaves the
+// camera alone while the free camera is on (see cameraViews.js).
+
+// Shots by name; place(time, position, target) returns false if there's nothing to look at
+const cameraShots = {
+    wide: { blend: 1, place: placeWideShot },
+    followBall: { blend: 0.6, place: placeFollowBallShot },
+    behindNet: { blend: 0, place: placeBehindNetShot },
+    dollyKeeper: { blend: 1.5, start: startDollyKeeperShot, place: placeDollyKeeperShot }
+};
+
+const cameraDirectorSettings = {
+    blendEasing: easings.easeInOutCubic,
+    dollyRadius: 2.8,
+    dollyHeight: 1.1,
+    dollySpeed: 0.4 // Radians per second around the keeper
+};
+
+const cameraDirector = {
+    enabled: false,  // True while a sequence may move the camera
+    shotName: null,
+    shot: null,
+    time: 0,         // Real seconds into the current shot
+    fromPosition: new THREE.Vector3(),
+    fromTarget: new THREE.Vector3(),
+    dollyAngle: 0
+};
+
+const _shotPosition = new THREE.Vector3();
+const _shotTarget = new THREE.Vector3();
+
+// Hand the camera back when it is grabbed, and let scripts call shots
+function initCameraDirector() {
+    controls.addEventListener('start', () => {
+        if (cameraDirector.shot) {
+            stopCameraDirector();
+            console.log("Camera director stopped: camera moved by hand");
+        }
+    });
+
+    registerSequenceAction('cameraShot', startCameraShot);
+}
+
+// Let the running sequence direct the camera (unless the free camera is in use)
+function startCameraDirector() {
+    cameraDirector.enabled = !freeCamera.active;
+    cameraDirector.shotName = null;
+    cameraDirector.shot = null;
+}
+
+// Leave the camera where it is and ignore shots until the next sequence
+function stopCameraDirector() {
+    cameraDirector.enabled = false;
+    cameraDirector.shotName = null;
+    cameraDirector.shot = null;
+}
+
+// Move on to a shot, blending from the current camera
+function startCameraShot(name) {
+    if (!cameraDirector.enabled) return;
+
+    const shot = cameraShots[name];
+    if (!shot) {
+        console.warn(`Unknown camera shot "${name}"`);
+        return;
+    }
+
+    // The shot takes over from any camera move still running
+    cancelTweensOf(camera.position);
+    cancelTweensOf(controls.target);
+
+    cameraDirector.shotName = name;
+    cameraDirector.shot = shot;
+    cameraDirector.time = 0;
+    cameraDirector.fromPosition.copy(camera.position);
+    cameraDirector.fromTarget.copy(controls.target);
+    if (shot.start) shot.start();
+
+    console.log(`Camera shot: ${name}`);
+}
+
+// Place the camera for the current shot; called once the scene is posed for drawing
+function updateCameraDirector(delta) {
+    const shot = cameraDirector.shot;
+    if (!shot || replayState.playing) return;
+
+    cameraDirector.time += delta;
+    if (shot.place(cameraDirector.time, _shotPosition, _shotTarget) === false) return;
+
+    // Ease from where the camera was into the shot
+    const progress = shot.blend > 0 ? Math.min(cameraDirector.time / shot.blend, 1) : 1;
+    const t = cameraDirectorSettings.blendEasing(progress);
+    camera.position.lerpVectors(cameraDirector.fromPosition, _shotPosition, t);
+    controls.target.lerpVectors(cameraDirector.fromTarget, _shotTarget, t);
+    camera.lookAt(controls.target);
+}
+
+// The keeper for the current cast, if it has loaded
+function getShotKeeper() {
+    const keeper = getActor(currentCast.keeper);
+    return keeper ? keeper.object : null;
+}
+
+// The usual view of the whole scene
+function placeWideShot(time, position, target) {
+    position.copy(defaultCameraPosition);
+    target.copy(defaultCameraTarget);
+}
+
+// Trail the ball from behind and to one side, with the goal beyond it
+function placeFollowBallShot(time, position, target) {
+    if (!ball) return false;
+
+    const direction = goalFrame ? goalFrame.direction : 1;
+    position.set(ball.position.x - 2.5, Math.max(ball.position.y + 0.8, 1), ball.position.z - 3.5 * direction);
+    target.copy(ball.position);
+}
+
+// Low behind the net, looking out past the keeper
+function placeBehindNetShot(time, position, target) {
+    if (!goalFrame) return false;
+
+    const direction = goalFrame.direction;
+    position.set(goalFrame.center.x + 0.6, 0.3, goalFrame.backZ + 1.2 * direction);
+    target.set(goalFrame.center.x, 0.9, goalFrame.lineZ - 3 * direction);
+}
+
+// Start the dolly from the camera's current side of the keeper
+function startDollyKeeperShot() {
+    const keeper = getShotKeeper();
+    cameraDirector.dollyAngle = keeper ?
+        Math.atan2(camera.position.z - keeper.position.z, camera.position.x - keeper.position.x) : 0;
+}
+
+// Circle the keeper slowly
+function placeDollyKeeperShot(time, position, target) {
+    const keeper = getShotKeeper();
+    if (!keeper) return false;
+
+    const settings = cameraDirectorSettings;
+    const angle = cameraDirector.dollyAngle + time * settings.dollySpeed;
+    position.set(
+        keeper.position.x + Math.cos(angle) * settings.dollyRadius,
+        settings.dollyHeight,
+        keeper.position.z + Math.sin(angle) * settings.dollyRadius
+    );
+    target.set(keeper.position.x, 0.7, keeper.position.z);
+}
@@ -0,0 +1,246 @@
+// Camera views - named camera bookmarks and a free camera for composing shots
+//
+// Normally the camera only turns around the scene at one height. The free
+// camera lifts that lock: drag to look around from any angle, scroll or
+// pinch to move in and out, and fly with the keyboard. It stays above the
+// floor and inside the play area, well within the sky. Bookmarks keep views
+// (where the camera is and what it looks at) under a name, and are saved
+// in the browser so they are still there next visit. Recalling one eases
+// the camera over to it.
+//
+//   F          free camera on / off
+//   W A S D    fly forwards, left, back, right (free camera)
+//   Q E        fly down / up; hold Shift to go faster (free camera)
+//   Shift+1-9  save the view as a bookmark
+//   1-9        recall a bookmark (free camera; otherwise they play animations)
+
+const cameraViewSettings = {
+    storageKey: 'pigBallDuckCameraBookmarks',
+    flySpeed: 4,        // Metres per second
+    fastFlyFactor: 3,   // With Shift held
+    minHeight: 0.2,     // Lowest the camera goes, above the floor
+    maxRadius: 24,      // Furthest from the middle of the scene (the floor is 50m across, the sky 500m)
+    maxHeight: 20,
+    minDistance: 0.5,   // How close and far scrolling moves from the target
+    maxDistance: 20
+};
+
+// Keys that fly the free camera: code -> [right, up, forwards]
+const freeCameraKeys = {
+    KeyW: [0, 0, 1],
+    KeyS: [0, 0, -1],
+    KeyA: [-1, 0, 0],
+    KeyD: [1, 0, 0],
+    KeyQ: [0, -1, 0],
+    KeyE: [0, 1, 0]
+};
+
+const freeCamera = {
+    active: false,
+    keysDown: new Set(),
+    fast: false, // Shift is held
+    locks: null // The normal control limits, put back when the free camera is switched off
+};
+
+// Saved views by slot (1-9): { name, position: [x, y, z], target: [x, y, z] }
+let cameraBookmarks = {};
+
+let freeCameraIndicator;
+
+const _flyForward = new THREE.Vector3();
+const _flyRight = new THREE.Vector3();
+const _flyMove = new THREE.Vector3();
+const _flyCorrection = new THREE.Vector3();
+
+// Load saved bookmarks and watch for fly keys being let go
+function initCameraViews() {
+    try {
+        cameraBookmarks = JSON.parse(localStorage.getItem(cameraViewSettings.storageKey)) || {};
+    } catch (error) {
+        // Storage can be blocked or hold something unreadable; start with no bookmarks
+        cameraBookmarks = {};
+    }
+
+    window.addEventListener('keyup', event => {
+        freeCamera.keysDown.delete(event.code);
+        freeCamera.fast = event.shiftKey;
+    });
+    window.addEventListener('blur', () => {
+        freeCamera.keysDown.clear();
+        freeCamera.fast = false;
+    });
+}
+
+// Switch the free camera on or off
+function setFreeCamera(active) {
+    if (active === freeCamera.active) return;
+    freeCamera.active = active;
+    freeCamera.keysDown.clear();
+
+    if (active) {
+        // Take the camera back from any directed shot and lift the locks
+        stopCameraDirector();
+        freeCamera.locks = {
+            enableZoom: controls.enableZoom,
+            minPolarAngle: controls.minPolarAngle,
+            maxPolarAngle: controls.maxPolarAngle,
+            minDistance: controls.minDistance,
+            maxDistance: controls.maxDistance
+        };
+        controls.enableZoom = true;
+        controls.minPolarAngle = 0.05;
+        controls.maxPolarAngle = Math.PI - 0.05;
+        controls.minDistance = cameraViewSettings.minDistance;
+        controls.maxDistance = cameraViewSettings.maxDistance;
+    } else {
+        // Lock the controls again and ease back to the usual view
+        Object.assign(controls, freeCamera.locks);
+        resetCameraPosition();
+    }
+
+    updateFreeCameraIndicator();
+    console.log(active ? "Free camera on" : "Free camera off");
+}
+
+function toggleFreeCamera() {
+    setFreeCamera(!freeCamera.active);
+}
+
+// Handle a key meant for the free camera; returns true if it was used
+function handleFreeCameraKey(event) {
+    if (!freeCamera.active) return false;
+    freeCamera.fast = event.shiftKey;
+
+    if (freeCameraKeys[event.code]) {
+        freeCamera.keysDown.add(event.code);
+        return true;
+    }
+
+    const slot = getBookmarkSlot(event);
+    if (slot && !event.shiftKey) {
+        recallCameraBookmark(slot);
+        return true;
+    }
+
+    return false;
+}
+
+// The bookmark slot a number key stands for, or null
+function getBookmarkSlot(event) {
+    const match = /^Digit([1-9])$/.exec(event.code);
+    return match ? Number(match[1]) : null;
+}
+
+// Fly with the held keys, then keep the camera within bounds (real time, so it flies while paused)
+function updateFreeCamera(delta) {
+    if (!freeCamera.active || !controls.enabled) return;
+
+    if (freeCamera.keysDown.size > 0) {
+        // Forwards is wherever the camera looks; up is always straight up
+        camera.getWorldDirection(_flyForward);
+        _flyRight.crossVectors(_flyForward, camera.up).normalize();
+        _flyMove.set(0, 0, 0);
+
+        freeCamera.keysDown.forEach(code => {
+            const [right, up, forwards] = freeCameraKeys[code];
+            _flyMove.addScaledVector(_flyRight, right);
+            _flyMove.y += up;
+            _flyMove.addScaledVector(_flyForward, forwards);
+        });
+
+        const speed = cameraViewSettings.flySpeed * (freeCamera.fast ? cameraViewSettings.fastFlyFactor : 1);
+        if (_flyMove.lengthSq() > 0) _flyMove.normalize().multiplyScalar(speed * delta);
+
+        // Move the target with the camera so the view keeps its direction
+        camera.position.add(_flyMove);
+        controls.target.add(_flyMove);
+    }
+
+    constrainFreeCamera();
+}
+
+// Keep the camera above the floor and inside the play area
+function constrainFreeCamera() {
+    _flyCorrection.copy(camera.position);
+    clampToCameraBounds(_flyCorrection);
+    _flyCorrection.sub(camera.position);
+
+    // Shift the target as well so the view doesn't swing round at the edges
+    camera.position.add(_flyCorrection);
+    controls.target.add(_flyCorrection);
+}
+
+// Clamp a point to the bounds
+function clampToCameraBounds(point) {
+    const settings = cameraViewSettings;
+    point.y = THREE.MathUtils.clamp(point.y, settings.minHeight, settings.maxHeight);
+
+    const radius = Math.hypot(point.x, point.z);
+    if (radius > settings.maxRadius) {
+        point.x *= settings.maxRadius / radius;
+        point.z *= settings.maxRadius / radius;
+    }
+}
+
+// Save the current view in a slot, asking for a name
+function saveCameraBookmark(slot) {
+    const existing = cameraBookmarks[slot];
+    const name = window.prompt(`Name for camera bookmark ${slot}`, existing ? existing.name : `View ${slot}`);
+    if (name === null) return; // Cancelled
+
+    cameraBookmarks[slot] = {
+        name: name.trim() || `View ${slot}`,
+        position: camera.position.toArray(),
+        target: controls.target.toArray()
+    };
+
+    try {
+        localStorage.setItem(cameraViewSettings.storageKey, JSON.stringify(cameraBookmarks));
+    } catch (error) {
+        // Storage can be blocked; the bookmark still holds for this visit
+    }
+
+    console.log(`Camera bookmark ${slot} saved: ${cameraBookmarks[slot].name}`);
+}
+
+// Ease the camera over to a saved view
+function recallCameraBookmark(slot) {
+    const bookmark = cameraBookmarks[slot];
+    if (!bookmark) {
+        console.log(`No camera bookmark ${slot} yet (Shift+${slot} saves one)`);
+        return;
+    }
+
+    stopCameraDirector();
+
+    const options = { duration: 1, easing: easings.easeInOutCubic, realTime: true };
+    tweenVector(controls.target, new THREE.Vector3().fromArray(bookmark.target), options);
+    tweenVector(camera.position, new THREE.Vector3().fromArray(bookmark.position), options);
+
+    console.log(`Camera bookmark ${slot}: ${bookmark.name}`);
+}
+
+// Show the free camera's keys while it is on
+function updateFreeCameraIndicator() {
+    if (!freeCameraIndicator) {
+        freeCameraIndicator = document.createElement('div');
+        freeCameraIndicator.style.position = 'absolute';
+        freeCameraIndicator.style.bottom = '15px';
+        freeCameraIndicator.style.left = '50%';
+        freeCameraIndicator.style.transform = 'translateX(-50%)';
+        freeCameraIndicator.style.backgroundColor = 'rgba(33, 33, 33, 0.85)';
+        freeCameraIndicator.style.color = '#e0e0e0';
+        freeCameraIndicator.style.padding = '6px 12px';
+        freeCameraIndicator.style.borderRadius = '8px';
+        freeCameraIndicator.style.fontFamily = "'Segoe UI', Roboto, 'Helvetica Neue', sans-serif";
+        freeCameraIndicator.style.fontSize = '13px';
+        freeCameraIndicator.style.fontWeight = '500';
+        freeCameraIndicator.style.userSelect = 'none';
+        freeCameraIndicator.style.pointerEvents = 'none';
+        freeCameraIndicator.style.zIndex = '1000';
+        freeCameraIndicator.textContent = 'Free camera · WASD QE fly · Shift+1-9 save view · 1-9 recall · F exit';
+        document.body.appendChild(freeCameraIndicator);
+    }
+
+    freeCameraIndicator.style.display = freeCamera.active ? 'block' : 'none';
+}
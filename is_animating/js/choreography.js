@@ -0,0 +1,320 @@
+// Choreography engine - runs action sequences described as JSON scripts
+//
+// A script has one track per actor (a list of animation steps) plus a list
+// of cues. Steps start at a fixed time ("at", in ms from the start of the
+// sequence) or when another step's clip finishes ("next"). Cues call named
+// actions registered with registerSequenceAction(), and so can steps, when
+// they start, through their "actions" list.
+//
+// Steps name what to play with "role" (a role from the actor's animation
+// manifest, e.g. "kick") or, for one-off clips, "clip" (a clip name or index).
+//
+// A branch step ({ "branch": "outcome", "cases": {...}, "default": "id" })
+// waits until the game sets that sequence variable, then jumps to the step
+// named for its value.
+
+// Currently running sequence player
+let activeSequence = null;
+
+// Named actions that cues and steps can trigger
+const sequenceActions = {};
+
+// Register a named action that sequence scripts can call
+function registerSequenceAction(name, handler) {
+    sequenceActions[name] = handler;
+}
+
+// Fetch a sequence script from a JSON file
+function loadSequenceScript(url) {
+    return fetch(url).then(response => {
+        if (!response.ok) {
+            throw new Error(`Could not load sequence script ${url} (${response.status})`);
+        }
+        return response.json();
+    });
+}
+
+// Find the clip for a step: a role from the actor's animation manifest, or a clip reference
+function resolveStepClip(actor, step) {
+    if (step.role !== undefined) {
+        return resolveAnimationRole(actor, step.role);
+    }
+    return resolveSequenceClip(actor, step.clip);
+}
+
+// Find a clip on an actor from a clip reference
+// A reference can be a clip name, a clip index, or a list of either to try in order
+function resolveSequenceClip(actor, clipRef) {
+    const candidates = Array.isArray(clipRef) ? clipRef : [clipRef];
+
+    for (let i = 0; i < candidates.length; i++) {
+        const candidate = candidates[i];
+
+        if (typeof candidate === 'number') {
+            if (actor.clips[candidate]) return actor.clips[candidate];
+            continue;
+        }
+
+        // Exact name first, then a case-insensitive partial match
+        const clip = findClipByName(actor.clips, candidate);
+        if (clip) return clip;
+    }
+
+    return null;
+}
+
+// Create a player for a script against a set of actors
+// actors maps track names to { object, mixer, clips, onClipChange }
+function createSequencePlayer(script, actors) {
+    const player = {
+        script: script,
+        actors: actors,
+        time: 0,
+        running: false,
+        pendingSteps: [],  // Steps waiting for their start time
+        pendingCues: [],   // Cues waiting for their start time
+        currentActions: {}, // Current action per track
+        stepsByAction: new Map(),
+        finishedListeners: {},
+        variables: {},      // Values set by the game, read by branch steps
+        waitingBranches: [] // Branch steps waiting for their variable
+    };
+
+    player.start = function() {
+        player.time = 0;
+        player.running = true;
+
+        // Queue every step that has a start time
+        Object.keys(script.tracks || {}).forEach(trackName => {
+            if (actors[trackName]) {
+                // Listen for clips finishing on this actor's mixer
+                const listener = e => onActionFinished(trackName, e.action);
+                actors[trackName].mixer.addEventListener('finished', listener);
+                player.finishedListeners[trackName] = listener;
+            } else {
+                console.warn(`Sequence "${script.name}": no actor for track "${trackName}", running it without animation`);
+            }
+
+            script.tracks[trackName].forEach(step => {
+                if (step.at !== undefined) {
+                    player.pendingSteps.push({ time: step.at, trackName: trackName, step: step });
+                }
+            });
+        });
+
+        (script.cues || []).forEach(cue => {
+            player.pendingCues.push({ time: cue.at || 0, cue: cue });
+        });
+
+        console.log(`Sequence "${script.name}" started`);
+
+        // Anything scheduled at 0 starts right away
+        player.update(0);
+    };
+
+    player.stop = function() {
+        player.running = false;
+        player.pendingSteps = [];
+        player.pendingCues = [];
+        player.waitingBranches = [];
+        player.stepsByAction.clear();
+
+        // Detach the finished listeners from the mixers
+        Object.keys(player.finishedListeners).forEach(trackName => {
+            if (actors[trackName]) actors[trackName].mixer.removeEventListener('finished', player.finishedListeners[trackName]);
+        });
+        player.finishedListeners = {};
+
+        console.log(`Sequence "${script.name}" stopped`);
+    };
+
+    // Advance the sequence clock (delta in seconds)
+    player.update = function(delta) {
+        if (!player.running) return;
+
+        player.time += delta * 1000;
+
+        // Start any steps that are due
+        const dueSteps = player.pendingSteps.filter(entry => entry.time <= player.time);
+        player.pendingSteps = player.pendingSteps.filter(entry => entry.time > player.time);
+        dueSteps.forEach(entry => startStep(entry.trackName, entry.step));
+
+        // Fire any cues that are due
+        const dueCues = player.pendingCues.filter(entry => entry.time <= player.time);
+        player.pendingCues = player.pendingCues.filter(entry => entry.time > player.time);
+        dueCues.forEach(entry => runAction(entry.cue.action, entry.cue.args));
+    };
+
+    // Set a sequence variable and release any branches waiting on it
+    player.setVariable = function(name, value) {
+        player.variables[name] = value;
+
+        const ready = player.waitingBranches.filter(entry => entry.step.branch === name);
+        player.waitingBranches = player.waitingBranches.filter(entry => entry.step.branch !== name);
+        ready.forEach(entry => followBranch(entry.trackName, entry.step));
+    };
+
+    // Look up a step on a track by id
+    function findStep(trackName, stepId) {
+        return script.tracks[trackName].find(step => step.id === stepId);
+    }
+
+    // Call a registered action by name
+    function runAction(name, args) {
+        const handler = sequenceActions[name];
+        if (!handler) {
+            console.warn(`Sequence "${script.name}": unknown action "${name}"`);
+            return;
+        }
+        handler.apply(null, args || []);
+    }
+
+    // Fire a step's actions: each is an action name, or { "action": name, "args": [...] }
+    function runStepActions(step) {
+        (step.actions || []).forEach(entry => {
+            if (typeof entry === 'string') {
+                runAction(entry);
+            } else {
+                runAction(entry.action, entry.args);
+            }
+        });
+    }
+
+    // Jump to the step a branch picks for its variable's value
+    function followBranch(trackName, step) {
+        const value = player.variables[step.branch];
+        const targetId = (step.cases && step.cases[value]) || step.default;
+        const target = targetId && findStep(trackName, targetId);
+
+        if (!target) {
+            console.warn(`Sequence "${script.name}": branch on "${step.branch}" has no step for "${value}"`);
+            return;
+        }
+
+        startStep(trackName, target);
+    }
+
+    // Start an animation step on an actor
+    function startStep(trackName, step) {
+        if (!player.running) return;
+
+        // Branches wait for their variable before picking a step
+        if (step.branch) {
+            if (player.variables[step.branch] === undefined) {
+                player.waitingBranches.push({ trackName: trackName, step: step });
+            } else {
+                followBranch(trackName, step);
+            }
+            return;
+        }
+
+        // Steps without a clip or role just fire their actions
+        if (step.clip === undefined && step.role === undefined) {
+            skipStep(trackName, step);
+            return;
+        }
+
+        // Without an actor or the clip, carry on as if the clip had played
+        const actor = actors[trackName];
+        const clip = actor && resolveStepClip(actor, step);
+
+        if (!clip) {
+            if (actor) {
+                console.warn(`Sequence "${script.name}": no clip matching ${JSON.stringify(step.role || step.clip)} for "${trackName}"`);
+            }
+            skipStep(trackName, step);
+            return;
+        }
+
+        const previousAction = player.currentActions[trackName];
+        const action = actor.mixer.clipAction(clip);
+
+        action.reset();
+        action.setLoop(step.loop === 'repeat' ? THREE.LoopRepeat : THREE.LoopOnce);
+        action.clampWhenFinished = !!step.hold;
+
+        // Start part way into the clip if asked
+        if (step.startFrame) {
+            action.time = step.startFrame / (step.fps || 30);
+        }
+
+        if (step.crossfade && previousAction && previousAction !== action) {
+            // Hold the previous clip on its current frame while we blend out of it
+            previousAction.enabled = true;
+            previousAction.paused = true;
+            previousAction.crossFadeTo(action, step.crossfade / 1000, false);
+        } else {
+            actor.mixer.stopAllAction();
+        }
+
+        action.play();
+
+        player.currentActions[trackName] = action;
+        player.stepsByAction.set(action, { trackName: trackName, step: step });
+
+        if (actor.onClipChange) actor.onClipChange(clip.name);
+
+        // Fire any actions attached to the start of this step
+        runStepActions(step);
+
+        console.log(`Sequence "${script.name}": ${trackName} playing ${clip.name} (${step.id || 'unnamed step'})`);
+    }
+
+    // Run a step that has nothing to play: fire its actions and move on to its next step
+    function skipStep(trackName, step) {
+        runStepActions(step);
+        queueNextStep(trackName, step);
+    }
+
+    // Chain to the next step when a clip finishes
+    function onActionFinished(trackName, action) {
+        const entry = player.stepsByAction.get(action);
+        if (!player.running || !entry || entry.trackName !== trackName) return;
+
+        player.stepsByAction.delete(action);
+
+        // Start straight away if there is no delay
+        if (queueNextStep(trackName, entry.step) && !entry.step.delay) player.update(0);
+    }
+
+    // Schedule a step's "next" step after its delay; returns whether one was queued
+    function queueNextStep(trackName, step) {
+        if (!step.next) return false;
+
+        const nextStep = findStep(trackName, step.next);
+        if (!nextStep) {
+            console.warn(`Sequence "${script.name}": step "${step.next}" not found on "${trackName}"`);
+            return false;
+        }
+
+        player.pendingSteps.push({
+            time: player.time + (step.delay || 0),
+            trackName: trackName,
+            step: nextStep
+        });
+        return true;
+    }
+
+    return player;
+}
+
+// Stop the running sequence, if any
+function stopSequence() {
+    if (activeSequence) {
+        activeSequence.stop();
+        activeSequence = null;
+    }
+}
+
+// Run a script, replacing any sequence already running
+function playSequence(script, actors) {
+    stopSequence();
+    activeSequence = createSequencePlayer(script, actors);
+    activeSequence.start();
+    return activeSequence;
+}
+
+// Advance the running sequence (called from the animation loop)
+function updateSequence(delta) {
+    if (activeSequence) activeSequence.update(delta);
+}
@@ -0,0 +1,51 @@
+// Error toasts - short on-screen notes when something fails to load
+//
+// Toasts stack in the bottom-left corner and fade out on their own; clicking
+// one dismisses it straight away.
+
+const toastSettings = {
+    duration: 8000 // How long a toast stays up (ms)
+};
+
+let toastContainer;
+
+// Show an error toast
+function showErrorToast(message) {
+    if (!toastContainer) {
+        toastContainer = document.createElement('div');
+        toastContainer.style.position = 'absolute';
+        toastContainer.style.left = '15px';
+        toastContainer.style.bottom = '15px';
+        toastContainer.style.display = 'flex';
+        toastContainer.style.flexDirection = 'column';
+        toastContainer.style.gap = '8px';
+        toastContainer.style.maxWidth = '360px';
+        toastContainer.style.zIndex = '1001';
+        document.body.appendChild(toastContainer);
+    }
+
+    const toast = document.createElement('div');
+    toast.textContent = message;
+    toast.style.backgroundColor = 'rgba(33, 33, 33, 0.9)';
+    toast.style.color = '#e0e0e0';
+    toast.style.borderLeft = '4px solid #FF3333';
+    toast.style.padding = '10px 12px';
+    toast.style.borderRadius = '6px';
+    toast.style.fontFamily = "'Segoe UI', Roboto, 'Helvetica Neue', sans-serif";
+    toast.style.fontSize = '13px';
+    toast.style.boxShadow = '0 4px 8px rgba(0, 0, 0, 0.2)';
+    toast.style.cursor = 'pointer';
+    toast.style.transition = 'opacity 0.4s';
+
+    // Fade out and remove
+    function dismiss() {
+        toast.style.opacity = '0';
+        setTimeout(() => toast.remove(), 400);
+    }
+
+    toast.addEventListener('click', dismiss);
+    setTimeout(dismiss, toastSettings.duration);
+
+    toastContainer.appendChild(toast);
+    console.warn(`Toast: ${message}`);
+}
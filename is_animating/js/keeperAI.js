@@ -0,0 +1,225 @@
+// Goalkeeper AI - reads the shot, picks a dive and times it to meet the ball
+//
+// After a reaction delay the keeper predicts where the ball will cross the
+// goal line (with some error), slides across towards it and plays the save
+// clip so the dive peaks as the ball arrives. A rigged dive carries the
+// keeper sideways by itself (see rootMotion.js), so the slide only makes up
+// whatever the clip's travel falls short of. The ball physics decides
+// whether the hands actually get there.
+
+// Difficulty presets
+const keeperDifficulties = {
+    easy: { reactionDelay: 0.45, reach: 1.1, error: 0.6, diveSpeed: 3.0 },
+    normal: { reactionDelay: 0.3, reach: 1.5, error: 0.35, diveSpeed: 4.5 },
+    hard: { reactionDelay: 0.18, reach: 1.9, error: 0.15, diveSpeed: 6.0 }
+};
+
+// General keeper settings
+const keeperSettings = {
+    saveRole: 'save',   // Animation role of the dive in the keeper's manifest
+    savePeak: 0.35,     // Fraction of the save clip where the dive is at full stretch
+    saveClipSide: 1,    // Side the save clip dives to in the keeper's own space (+1 = local +x)
+    centerZone: 0.3,    // Shots this close to the keeper are taken without diving
+    lineOffset: 0.3     // How far off the goal line the keeper stands
+};
+
+let keeperDifficulty = 'normal';
+
+// State of the current save attempt
+const keeperState = {
+    active: false,
+    actor: null,
+    time: 0,
+    shot: null,        // { start, velocity, spin } of the ball being faced
+    plan: null,        // { targetX, diveAt, crossTime, side, peakTime, slideLeft }
+    diving: false,
+    action: null,
+    onDone: null,
+    finishedListener: null
+};
+
+// Cycle through the difficulty presets
+function cycleKeeperDifficulty() {
+    const names = Object.keys(keeperDifficulties);
+    keeperDifficulty = names[(names.indexOf(keeperDifficulty) + 1) % names.length];
+    console.log(`Keeper difficulty: ${keeperDifficulty}`);
+    return keeperDifficulty;
+}
+
+// Where the keeper waits for a shot: middle of the goal, just off the line
+function getKeeperHome(target) {
+    target = target || new THREE.Vector3();
+    if (!goalFrame) return null;
+    return target.set(goalFrame.center.x, 0, goalFrame.lineZ - goalFrame.direction * keeperSettings.lineOffset);
+}
+
+// Start reacting to a shot that has just been kicked
+// actor is { object, mixer, clips }; onDone is called once the dive is over
+function startKeeperReaction(actor, start, velocity, spin, onDone) {
+    stopKeeper();
+
+    if (!actor || !goalFrame) {
+        if (onDone) onDone();
+        return;
+    }
+
+    keeperState.active = true;
+    keeperState.actor = actor;
+    keeperState.time = 0;
+    keeperState.shot = { start: start.clone(), velocity: velocity.clone(), spin: spin.clone() };
+    keeperState.plan = null;
+    keeperState.diving = false;
+    keeperState.action = null;
+    keeperState.onDone = onDone;
+
+    console.log(`Keeper (${keeperDifficulty}) watching the shot`);
+}
+
+// Advance the keeper's reaction (called from the animation loop)
+function updateKeeper(delta) {
+    if (!keeperState.active) return;
+
+    const difficulty = keeperDifficulties[keeperDifficulty];
+    keeperState.time += delta;
+
+    // Read the shot once the reaction delay has passed
+    if (!keeperState.plan && keeperState.time >= difficulty.reactionDelay) {
+        keeperState.plan = planKeeperDive(difficulty);
+    }
+
+    const plan = keeperState.plan;
+    if (!plan) return;
+
+    // Start the dive so it peaks as the ball arrives
+    if (!keeperState.diving && keeperState.time >= plan.diveAt) {
+        startKeeperDive(plan);
+    }
+
+    // Slide across the goal by whatever the dive clip doesn't cover itself
+    // (on a centre read that means holding the keeper against the clip's travel)
+    if (keeperState.diving) {
+        const object = keeperState.actor.object;
+        const step = difficulty.diveSpeed * delta;
+        const slide = THREE.MathUtils.clamp(plan.slideLeft, -step, step);
+        object.position.x += slide;
+        plan.slideLeft -= slide;
+    }
+}
+
+// Predict where the ball will cross the line and decide how to get there
+function planKeeperDive(difficulty) {
+    const object = keeperState.actor.object;
+    const shot = keeperState.shot;
+    const samples = predictBallPath(shot.start, shot.velocity, shot.spin, 3, 1 / 60, true);
+
+    // Find the first sample past the goal line
+    let crossing = null;
+    for (let i = 1; i < samples.length; i++) {
+        const depth = (samples[i].position.z - goalFrame.lineZ) * goalFrame.direction;
+        if (depth >= 0) {
+            const previousDepth = (samples[i - 1].position.z - goalFrame.lineZ) * goalFrame.direction;
+            const t = -previousDepth / (depth - previousDepth);
+            crossing = {
+                time: THREE.MathUtils.lerp(samples[i - 1].time, samples[i].time, t),
+                position: new THREE.Vector3().lerpVectors(samples[i - 1].position, samples[i].position, t)
+            };
+            break;
+        }
+    }
+
+    // The ball never reaches the goal - nothing to do
+    if (!crossing) {
+        console.log("Keeper reads the shot as falling short");
+        return { targetX: object.position.x, diveAt: Infinity, crossTime: Infinity, side: 0 };
+    }
+
+    // Misjudge the shot a little, more on easier settings
+    const guessX = crossing.position.x + (getRandomStream('keeper')() * 2 - 1) * difficulty.error;
+
+    // Only as far as the keeper can reach from where they stand
+    const targetX = THREE.MathUtils.clamp(guessX, object.position.x - difficulty.reach, object.position.x + difficulty.reach);
+    const offset = targetX - object.position.x;
+    const side = Math.abs(offset) < keeperSettings.centerZone ? 0 : Math.sign(offset);
+
+    // Time the dive so its peak meets the ball
+    const clip = resolveAnimationRole(keeperState.actor, keeperSettings.saveRole);
+    const peakTime = clip ? clip.duration * keeperSettings.savePeak : 0;
+    const diveAt = Math.max(keeperState.time, crossing.time - peakTime);
+
+    console.log(`Keeper expects the ball at x=${crossing.position.x.toFixed(2)}, diving ${side < 0 ? 'left' : side > 0 ? 'right' : 'centre'} to x=${targetX.toFixed(2)}`);
+
+    return { targetX: targetX, diveAt: diveAt, crossTime: crossing.time, side: side, peakTime: peakTime };
+}
+
+// Play the save clip, mirrored if it dives the wrong way
+function startKeeperDive(plan) {
+    const actor = keeperState.actor;
+    const object = actor.object;
+    keeperState.diving = true;
+
+    // Which way the clip's dive goes in the world right now
+    const localX = new THREE.Vector3(1, 0, 0).applyQuaternion(object.quaternion);
+    const clipSide = Math.sign(localX.x * object.scale.x) * keeperSettings.saveClipSide;
+    if (plan.side !== 0 && clipSide !== plan.side) {
+        object.scale.x = -object.scale.x;
+    }
+
+    const clip = resolveAnimationRole(actor, keeperSettings.saveRole);
+    if (!clip) {
+        console.warn("Keeper has no save clip to dive with");
+        finishKeeper();
+        return;
+    }
+
+    actor.mixer.stopAllAction();
+    const action = actor.mixer.clipAction(clip);
+    action.reset();
+    action.setLoop(THREE.LoopOnce);
+    action.clampWhenFinished = true;
+
+    // Speed the dive up if there is not enough time left to reach the peak
+    const timeLeft = plan.crossTime - keeperState.time;
+    const timeScale = plan.peakTime > 0 && timeLeft > 0 && timeLeft < plan.peakTime ? plan.peakTime / timeLeft : 1;
+    action.setEffectiveTimeScale(timeScale);
+    action.play();
+
+    // Root motion carries the keeper this far by the peak; the slide makes up the rest
+    const clipTravel = getRootMotionTravel(actor, clip, plan.peakTime);
+    plan.slideLeft = plan.targetX - object.position.x - clipTravel.x;
+
+    keeperState.action = action;
+    keeperState.finishedListener = function(e) {
+        if (e.action === action) finishKeeper();
+    };
+    actor.mixer.addEventListener('finished', keeperState.finishedListener);
+
+    if (actor.onClipChange) actor.onClipChange(clip.name);
+}
+
+// The shot has been decided; a keeper who never dived is done straight away
+function keeperShotResolved() {
+    if (keeperState.active && !keeperState.diving) {
+        finishKeeper();
+    }
+}
+
+// End the save attempt and hand control back
+function finishKeeper() {
+    const onDone = keeperState.onDone;
+    stopKeeper();
+    if (onDone) onDone();
+}
+
+// Stop reacting without calling back
+function stopKeeper() {
+    if (keeperState.finishedListener && keeperState.actor) {
+        keeperState.actor.mixer.removeEventListener('finished', keeperState.finishedListener);
+    }
+
+    keeperState.active = false;
+    keeperState.diving = false;
+    keeperState.plan = null;
+    keeperState.action = null;
+    keeperState.onDone = null;
+    keeperState.finishedListener = null;
+}
@@ -0,0 +1,192 @@
+// Loading - one LoadingManager for every model and texture, with a progress overlay
+//
+// Every loader is created with loadingManager, so each file it fetches shows
+// up in the overlay with its own status. The overlay goes away once every
+// actor is in the scene and every file asked for along the way, textures
+// included, has loaded or failed (see onSceneReady in main.js).
+
+const loadingManager = new THREE.LoadingManager();
+
+// Every file requested so far: url -> { label, loaded, total, status }
+// status is 'loading', 'done' or 'failed'
+const loadingAssets = {};
+
+// Called each time the last file still loading has finished or failed
+const loadingSettledListeners = [];
+
+// Overlay elements
+let loadingOverlay, loadingBar, loadingSummary, loadingList;
+
+// Note each file as its loader asks for it (embedded blob and data URLs aren't files)
+loadingManager.setURLModifier(url => {
+    if (!/^(blob|data):/.test(url) && !loadingAssets[url]) {
+        loadingAssets[url] = { label: url.split('/').pop(), loaded: 0, total: 0, status: 'loading' };
+        updateLoadingOverlay();
+    }
+    return url;
+});
+
+// A file finished loading
+loadingManager.onProgress = function(url) {
+    if (loadingAssets[url] && loadingAssets[url].status === 'loading') {
+        loadingAssets[url].status = 'done';
+        updateLoadingOverlay();
+        notifyIfLoadingSettled();
+    }
+};
+
+// A file failed to load
+loadingManager.onError = function(url) {
+    if (loadingAssets[url]) {
+        loadingAssets[url].status = 'failed';
+        updateLoadingOverlay();
+        notifyIfLoadingSettled();
+    }
+    console.error(`Failed to load ${url}`);
+};
+
+// Whether every file asked for so far has loaded or failed
+function isLoadingSettled() {
+    return Object.keys(loadingAssets).every(url => loadingAssets[url].status !== 'loading');
+}
+
+// Tell the listeners once nothing is left loading
+function notifyIfLoadingSettled() {
+    if (isLoadingSettled()) {
+        loadingSettledListeners.forEach(listener => listener());
+    }
+}
+
+// Give a file a friendlier name in the overlay, e.g. "Pig: kick.fbx"
+function labelLoadingAsset(url, label) {
+    loadingAssets[url] = loadingAssets[url] || { loaded: 0, total: 0, status: 'loading' };
+    loadingAssets[url].label = label;
+    updateLoadingOverlay();
+}
+
+// Byte progress for one file, from a loader's progress callback
+function updateLoadingAssetProgress(url, xhr) {
+    const asset = loadingAssets[url];
+    if (!asset || !xhr.lengthComputable) return;
+
+    asset.loaded = xhr.loaded;
+    asset.total = xhr.total;
+    updateLoadingOverlay();
+}
+
+// Overall progress from 0 to 1, each file counting equally
+function getLoadingProgress() {
+    const urls = Object.keys(loadingAssets);
+    if (urls.length === 0) return 0;
+
+    const sum = urls.reduce((total, url) => {
+        const asset = loadingAssets[url];
+        if (asset.status !== 'loading') return total + 1;
+        return total + (asset.total > 0 ? asset.loaded / asset.total : 0);
+    }, 0);
+
+    return sum / urls.length;
+}
+
+// Create the loading overlay
+function createLoadingOverlay() {
+    loadingOverlay = document.createElement('div');
+    loadingOverlay.style.position = 'absolute';
+    loadingOverlay.style.left = '50%';
+    loadingOverlay.style.bottom = '30px';
+    loadingOverlay.style.transform = 'translateX(-50%)';
+    loadingOverlay.style.width = '360px';
+    loadingOverlay.style.maxWidth = '90%';
+    loadingOverlay.style.backgroundColor = 'rgba(33, 33, 33, 0.85)';
+    loadingOverlay.style.color = '#e0e0e0';
+    loadingOverlay.style.padding = '12px';
+    loadingOverlay.style.borderRadius = '8px';
+    loadingOverlay.style.fontFamily = "'Segoe UI', Roboto, 'Helvetica Neue', sans-serif";
+    loadingOverlay.style.fontSize = '13px';
+    loadingOverlay.style.userSelect = 'none';
+    loadingOverlay.style.zIndex = '1000';
+    loadingOverlay.style.boxShadow = '0 4px 8px rgba(0, 0, 0, 0.2)';
+    loadingOverlay.style.transition = 'opacity 0.5s';
+
+    // Headline with the overall percentage
+    loadingSummary = document.createElement('div');
+    loadingSummary.style.fontWeight = '500';
+    loadingSummary.style.marginBottom = '8px';
+    loadingOverlay.appendChild(loadingSummary);
+
+    // Progress bar
+    const track = document.createElement('div');
+    track.style.height = '8px';
+    track.style.borderRadius = '4px';
+    track.style.backgroundColor = 'rgba(255, 255, 255, 0.1)';
+    track.style.overflow = 'hidden';
+
+    loadingBar = document.createElement('div');
+    loadingBar.style.height = '100%';
+    loadingBar.style.width = '0%';
+    loadingBar.style.backgroundColor = '#4CAF50';
+    loadingBar.style.transition = 'width 0.2s';
+    track.appendChild(loadingBar);
+    loadingOverlay.appendChild(track);
+
+    // One line per file
+    loadingList = document.createElement('div');
+    loadingList.style.marginTop = '8px';
+    loadingList.style.maxHeight = '160px';
+    loadingList.style.overflowY = 'auto';
+    loadingList.style.fontSize = '12px';
+    loadingOverlay.appendChild(loadingList);
+
+    document.body.appendChild(loadingOverlay);
+    updateLoadingOverlay();
+}
+
+// Redraw the overlay from the asset list
+function updateLoadingOverlay() {
+    if (!loadingOverlay) return;
+
+    const percent = Math.round(getLoadingProgress() * 100);
+    const failed = Object.keys(loadingAssets).filter(url => loadingAssets[url].status === 'failed').length;
+
+    loadingSummary.textContent = failed > 0 ? `Loading… ${percent}% (${failed} failed)` : `Loading… ${percent}%`;
+    loadingBar.style.width = `${percent}%`;
+
+    loadingList.innerHTML = '';
+    Object.keys(loadingAssets).forEach(url => {
+        const asset = loadingAssets[url];
+        const row = document.createElement('div');
+        row.style.display = 'flex';
+        row.style.justifyContent = 'space-between';
+        row.style.gap = '10px';
+        row.style.padding = '1px 0';
+
+        const name = document.createElement('span');
+        name.textContent = asset.label;
+        name.title = url;
+
+        const status = document.createElement('span');
+        if (asset.status === 'done') {
+            status.textContent = '✓';
+            status.style.color = '#81C784';
+        } else if (asset.status === 'failed') {
+            status.textContent = 'failed';
+            status.style.color = '#FF8A80';
+        } else {
+            status.textContent = asset.total > 0 ? `${Math.round(asset.loaded / asset.total * 100)}%` : '…';
+        }
+
+        row.appendChild(name);
+        row.appendChild(status);
+        loadingList.appendChild(row);
+    });
+}
+
+// Fade the overlay out once everything is ready
+function hideLoadingOverlay() {
+    if (!loadingOverlay) return;
+
+    loadingOverlay.style.opacity = '0';
+    setTimeout(() => {
+        loadingOverlay.style.display = 'none';
+    }, 500);
+}
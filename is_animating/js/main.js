@@ -1,48 +1,43 @@
 // Global variables
 let scene, camera, renderer, controls;
 let clock;
-let ball, net;
-let pig, pigMixer, pigAnimations;
-let duck, duckMixer, duckAnimations;
-let showBall = true;
-let showPig = true;
-let showDuck = true;
-let showNet = true;
+let ball, net; // Also kept in the actor registry; the physics and aiming work with these directly
 
 // Default positions
-const pigPosition = new THREE.Vector3(0, 0, -3.90);
+const shooterPosition = new THREE.Vector3(0, 0, -3.90);
 const ballPosition = new THREE.Vector3(-0.80, 0, -1.5);
-const duckPosition = new THREE.Vector3(-2.90, 0, 4.30);
+const keeperPosition = new THREE.Vector3(-2.90, 0, 4.30); // Until the net has loaded
 const netPosition = new THREE.Vector3(-0.8, 0, 3); // Keep net position the same
 
 // Ball animation variables
 let ballAnimating = false;
-let ballAnimationStartTime = 0;
-let ballAnimationDuration = 1200; // 1.2 seconds for a smoother arc
 let ballStartPosition = new THREE.Vector3(-0.80, 0, -1.5);
-let ballEndPosition = new THREE.Vector3(-0.8, 0, 2.6);
 let ballAnimationCompleted = false;
-let ballMaxHeight = 1.5; // Slightly lower maximum height for a smoother arc
+// Which character plays which role in the sequence
+let currentCast = { shooter: 'pig', keeper: 'duck' };
+
+let pendingShot = null; // Player-aimed shot for the running sequence, if any
+let lastShotOutcome = null; // 'goal', 'save', 'wide', 'over', 'post' or 'short' once decided
+
+// Default kick: launch speed, angle above the floor, aim and spin (see createShotVelocity)
+const defaultShot = { power: 11, loft: 0.45, yaw: 0, topspin: 0, curl: 0 };
+
+// Controls panel (toggled with M)
+let controlsInfo;
+let controlsVisible = false;
+
+// Set once every actor has loaded; nothing can be started before then
+let sceneReady = false;
 
 // Add these global variables for action sequence
 let actionSequenceRunning = false;
-let actionSequenceStartTime = 0;
 let pigAnimationStarted = false;
 let duckReactionStarted = false;
 
-// Add these global variables for animation control
-let pigKickAction = null;
-let duckReactAction = null;
-
-// Action sequence timing with immediate pig reaction (in milliseconds)
-const pigAnimTime = 0;      // Pig animation starts immediately
-const ballKickTime = 800;   // Ball is kicked after 0.8 seconds
-const duckReactTime = 1300; // Duck reacts after 1.3 seconds
-const sequenceEndTime = 3000; // Sequence ends after 3 seconds
-
 // Store the default camera position and target
 const defaultCameraPosition = new THREE.Vector3(-9.22, 1.39, -3.65);
 const defaultCameraTarget = new THREE.Vector3(0, 1, 0);
+const defaultCameraFov = 65; // Widened on portrait screens (see updateScreenLayout)
 
 // Initialize the scene
 function init() {
@@ -50,25 +45,26 @@ function init() {
     scene = new THREE.Scene();
     
     // Create camera with updated settings
-    camera = new THREE.PerspectiveCamera(65, window.innerWidth / window.innerHeight, 0.1, 1000);
+    camera = new THREE.PerspectiveCamera(defaultCameraFov, window.innerWidth / window.innerHeight, 0.1, 1000);
     camera.position.copy(defaultCameraPosition);
     camera.lookAt(defaultCameraTarget);
     
-    // Create renderer with improved settings
+    // Create renderer with the starting quality preset (lighter on phones and tablets)
+    initQuality();
+    const qualityPreset = getQualityPreset();
     renderer = new THREE.WebGLRenderer({ 
-        antialias: true,
+        antialias: qualityPreset.antialias,
         powerPreference: "high-performance",
         alpha: true
     });
-    renderer.setSize(window.innerWidth, window.innerHeight);
     renderer.setClearColor(0x64B5F6); // Light blue
     renderer.shadowMap.enabled = true;
-    renderer.shadowMap.type = THREE.PCFSoftShadowMap; // Softer shadows
+    renderer.shadowMap.type = qualityPreset.shadowType; // Softer shadows from high up
     renderer.physicallyCorrectLights = true;
     renderer.outputEncoding = THREE.sRGBEncoding; // Improved color rendering
     renderer.toneMapping = THREE.ACESFilmicToneMapping; // Better tone mapping
     renderer.toneMappingExposure = 1.2; // Brighter exposure
-    renderer.setPixelRatio(window.devicePixelRatio); // Use device pixel ratio for sharper rendering
+    updateScreenLayout(camera, renderer, defaultCameraFov); // Pixel ratio, size and portrait field of view
     document.body.appendChild(renderer.domElement);
     
     // Create controls with restricted movement
@@ -91,30 +87,27 @@ function init() {
     createCartoonySky(); // Add the cartoony sky with double clouds
     createCarpetFloor(); // Create carpet floor instead of grass
     createLights();
-    createWelcomeButton(); // Add the welcome button
-    
-    // Load models
-    loadPigModel();
-    loadDuckModel();
-    loadBallModel();
-    loadNetModel();
+    createWelcomeButton('Welcome!', 'Loading…'); // Add the welcome button (clickable once loaded)
+    createControlsPanel(); // Visibility toggles and hotkeys, shown with M
+    registerSequenceActions(); // Actions the sequence scripts can call
+    initCameraDirector(); // Camera shots the sequence scripts can call
+    initCameraViews(); // Camera bookmarks and the free camera
+    initPenaltyAim(); // Drag from the ball to aim a shot
+    
+    // Load the models declared in actorDefinitions, showing progress as they come in
+    createLoadingOverlay();
+    actorLoadListeners.push(onActorLoaded);
+    actorFailListeners.push(checkSceneReady); // An actor that can't load shouldn't hold up the rest
+    loadingSettledListeners.push(checkSceneReady); // Textures can still be on their way once the actors are in
+    loadActors();
     
     // Add event listeners
     window.addEventListener('resize', onWindowResize);
+    window.addEventListener('orientationchange', onWindowResize);
     window.addEventListener('keydown', onKeyDown);
     
-    // Add click/tap event listener
+    // Add click/tap event listener (a tap arrives as a click)
     window.addEventListener('click', handleClick);
-    // Add touch event for mobile
-    window.addEventListener('touchend', function(event) {
-        // Convert touch to click event
-        const touch = event.changedTouches[0];
-        const clickEvent = new MouseEvent('click', {
-            clientX: touch.clientX,
-            clientY: touch.clientY
-        });
-        handleClick(clickEvent);
-    });
     
     // Start animation loop
     animate();
@@ -124,395 +117,64 @@ function init() {
 function animate() {
     requestAnimationFrame(animate);
     
-    // Get delta time
-    const delta = clock.getDelta();
-    const elapsedTime = clock.getElapsedTime();
+    // Get delta time: real for the controls and governor, scene time (paused, slowed or stepped) for the rest
+    const realDelta = clock.getDelta();
+    const delta = advanceSceneTime(realDelta);
+    const elapsedTime = timeControl.elapsed;
     
-    // Update controls
+    // Update controls, then fly the free camera if it's on
     controls.update();
+    updateFreeCamera(realDelta);
     
-    // Update animations
-    if (pigMixer) pigMixer.update(delta);
-    if (duckMixer) duckMixer.update(delta);
+    // Step the quality preset down or up to hold the frame rate
+    updateQualityGovernor(realDelta);
     
-    // Update clouds to always face camera and float
-    scene.children.forEach(child => {
-        if (child.name && child.name.startsWith('cloud_')) {
-            // Make cloud always face camera
-            child.lookAt(camera.position);
-            
-            // Apply floating animation
-            if (child.userData) {
-                const floatY = Math.sin((elapsedTime + child.userData.startTime) * child.userData.speed) 
-                    * child.userData.amplitude * child.userData.direction;
-                child.position.y = child.userData.startY + floatY;
-            }
-        }
-        
-        // Update welcome button
-        if (child.name === 'welcomeButton') {
-            // Make button always face camera
-            child.lookAt(camera.position);
-            
-            // Apply floating animation
-            if (child.userData) {
-                const floatY = Math.sin(elapsedTime * child.userData.speed) 
-                    * child.userData.amplitude;
-                child.position.y = child.userData.startY + floatY;
-                
-                // Apply pulsing effect
-                if (child.userData.timeline && child.userData.timeline.pulsing) {
-                    child.userData.timeline.time += delta * 1000;
-                    if (child.userData.timeline.time > child.userData.timeline.duration) {
-                        child.userData.timeline.time = 0;
-                    }
-                    
-                    const progress = child.userData.timeline.time / child.userData.timeline.duration;
-                    const scale = child.userData.timeline.startScale + 
-                        (child.userData.timeline.endScale - child.userData.timeline.startScale) * 
-                        (0.5 - 0.5 * Math.cos(progress * Math.PI * 2));
-                    
-                    child.scale.set(scale, scale, 1);
-                }
-            }
-        }
-    });
+    // Move the characters, sequence, keeper and ball on in fixed steps
+    advanceSimulation(delta, simulateStep);
     
-    // Update ball animation if active
-    if (ballAnimating) {
-        const currentTime = Date.now();
-        const elapsedTime = currentTime - ballAnimationStartTime;
-        const progress = Math.min(elapsedTime / ballAnimationDuration, 1.0);
-        
-        // Use a simple sine function for a smooth arc
-        // sin(π * t) gives a smooth curve from 0 to 0 with a peak in the middle
-        const heightProgress = Math.sin(Math.PI * progress);
-        const height = ballMaxHeight * heightProgress;
-        
-        // Simple linear interpolation for horizontal movement
-        const currentPosition = new THREE.Vector3();
-        currentPosition.x = ballStartPosition.x; // Keep X the same
-        currentPosition.z = ballStartPosition.z + (ballEndPosition.z - ballStartPosition.z) * progress;
-        currentPosition.y = height;
-        
-        // Update ball position
-        ball.position.copy(currentPosition);
-        
-        // Simpler rotation - just roll forward at a constant rate
-        ball.rotation.x -= 0.08;
-        
-        // Check if animation is complete
-        if (progress >= 1.0) {
-            ballAnimating = false;
-            ballAnimationCompleted = true;
-            console.log("Ball animation completed");
-        }
-    }
+    // Clouds, buttons and other per-frame effects
+    updateUpdatables(delta, elapsedTime);
     
-    // Render the scene
+    // Render the scene, drawing moving objects part way between steps
+    // (the camera director frames them where they are drawn)
+    beginInterpolatedRender();
+    updateCameraDirector(realDelta);
     renderer.render(scene, camera);
-    
-    // In your animate function, add this line:
-    updateButtons(clock.getDelta());
+    endInterpolatedRender();
 }
 
-// Load the pig model with updated position and default animation
-function loadPigModel() {
-    const loader = new THREE.GLTFLoader();
-
-    loader.load(
-        './models/pig2.glb',
-        function (gltf) {
-            const model = gltf.scene;
-            
-            // Center the model
-            model.position.copy(pigPosition); // Use the default position
-            
-            // Enable shadows for the model
-            model.traverse((node) => {
-                if (node.isMesh) {
-                    node.castShadow = true;
-                    node.receiveShadow = true;
-                    if (node.material) {
-                        node.material.roughness = 0.5;
-                        node.material.metalness = 0.2;
-                    }
-                }
-            });
-            
-            scene.add(model);
-            
-            // Store the model and animations globally
-            pig = model;
-            pigAnimations = gltf.animations;
-            pigMixer = new THREE.AnimationMixer(model);
-            
-            // Log available animations to help with debugging
-            console.log('Available animations:', pigAnimations.map(a => a.name));
-            
-            // Find the idle/stand animation
-            let idleAnimIndex = 0;
-            for (let i = 0; i < pigAnimations.length; i++) {
-                const animName = pigAnimations[i].name.toLowerCase();
-                if (animName.includes('idle') || (animName.includes('stand') && !animName.includes('standup'))) {
-                    idleAnimIndex = i;
-                    break;
-                }
-            }
-
-            console.log("LOOK AT ME:",pigAnimations[0]);
-            
-            // Play the idle animation
-            const idleAction = pigMixer.clipAction(pigAnimations[idleAnimIndex]);
-            idleAction.play();
-            
-            // Update the active animation text
-            updateActiveAnimationText(pigAnimations[idleAnimIndex].name);
-            
-            // Update animations control panel
-            updateAnimationsControlPanel();
-            
-            console.log(`Pig model loaded and playing idle animation: ${pigAnimations[idleAnimIndex].name}`);
-        },
-        undefined,
-        function (error) {
-            console.error('An error occurred loading the model:', error);
-        }
-    );
-}
-
-// Load the duck model with updated position, rotation, and default animation
-function loadDuckModel() {
-    // Create a loader
-    const loader = new THREE.GLTFLoader();
-    
-    // Load the model
-    loader.load(
-        'models/duck.glb',
-        function (gltf) {
-            // Store the model
-            duck = gltf.scene;
-            
-            // Enable shadows and improve materials
-            duck.traverse(function (child) {
-                if (child.isMesh) {
-                    child.castShadow = true;
-                    child.receiveShadow = true;
-                    
-                    // Improve material quality
-                    if (child.material) {
-                        child.material.roughness = 0.7; // Less shiny
-                        child.material.metalness = 0.1; // Less metallic
-                        child.material.envMapIntensity = 1.5; // More environment reflection
-                        
-                        // Ensure proper color encoding
-                        child.material.needsUpdate = true;
-                    }
-                }
-            });
-            
-            // Position the model using the default position
-            duck.position.copy(duckPosition);
-            
-            // Rotate 180 degrees on Y axis to face the other way
-            duck.rotation.y = Math.PI; // 180 degrees in radians
-            
-            // Set visibility based on toggle
-            duck.visible = showDuck;
-            
-            // Add to scene
-            scene.add(duck);
-            
-            // Store animations
-            duckAnimations = gltf.animations;
-
-            console.log("LOOK AT ME:",duckAnimations);
-            
-            // Create animation mixer
-            duckMixer = new THREE.AnimationMixer(duck);
-            
-            // Find and play the "stand" animation by default
-            if (duckAnimations.length > 0) {
-                // Look for an animation named "stand" or similar
-                let standAnimIndex = 0; // Default to first animation
-                
-                for (let i = 0; i < duckAnimations.length; i++) {
-                    const animName = duckAnimations[i].name.toLowerCase();
-                    if (animName.includes('stand') || animName.includes('idle')) {
-                        standAnimIndex = i;
-                        break;
-                    }
-                }
-                
-                // Play the stand animation
-                const action = duckMixer.clipAction(duckAnimations[standAnimIndex]);
-                action.play();
-                
-                // Update the active animation text
-                updateActiveDuckAnimationText(duckAnimations[standAnimIndex].name);
-                
-                // Update animations control panel
-                updateDuckAnimationsControlPanel();
-                
-                console.log(`Playing duck animation: ${duckAnimations[standAnimIndex].name}`);
-            }
-            
-            console.log("Duck model loaded at position", duckPosition, "and rotated 180 degrees");
-        },
-        function (xhr) {
-            console.log((xhr.loaded / xhr.total * 100) + '% loaded');
-        },
-        function (error) {
-            console.error('An error happened loading the duck model', error);
-        }
-    );
-}
-
-// Load the ball model
-function loadBallModel() {
-    // Create a loader
-    const loader = new THREE.GLTFLoader();
-    
-    // Load the model
-    loader.load(
-        'models/ball.glb',
-        function (gltf) {
-            // Store the model
-            ball = gltf.scene;
-            
-            // Enable shadows and improve materials
-            ball.traverse(function (child) {
-                if (child.isMesh) {
-                    child.castShadow = true;
-                    child.receiveShadow = true;
-                    
-                    // Improve material quality
-                    if (child.material) {
-                        child.material.roughness = 0.7; // Less shiny
-                        child.material.metalness = 0.1; // Less metallic
-                        child.material.envMapIntensity = 1.5; // More environment reflection
-                        
-                        // Ensure proper color encoding
-                        child.material.needsUpdate = true;
-                    }
-                }
-            });
-            
-            // Position the model
-            ball.position.copy(ballStartPosition);
-            
-            // Scale down by another 25% from current size (0.36 * 0.75 = 0.27)
-            ball.scale.set(0.27, 0.27, 0.27);
-            
-            // Set visibility based on toggle
-            ball.visible = showBall;
-            
-            // Add to scene
-            scene.add(ball);
-            
-            console.log("Ball model loaded at reduced scale (0.27)");
-        },
-        function (xhr) {
-            console.log((xhr.loaded / xhr.total * 100) + '% loaded');
-        },
-        function (error) {
-            console.error('An error happened loading the ball model', error);
-            // Fallback to simple ball if model fails to load
-            createSimpleBall();
-        }
-    );
-}
-
-// Load the net model
-function loadNetModel() {
-    // Create a loader
-    const loader = new THREE.GLTFLoader();
-    
-    // Load the model
-    loader.load(
-        'models/net.glb',
-        function (gltf) {
-            // Store the model
-            net = gltf.scene;
-            
-            // Enable shadows and improve materials
-            net.traverse(function (child) {
-                if (child.isMesh) {
-                    child.castShadow = true;
-                    child.receiveShadow = true;
-                    
-                    // Improve material quality
-                    if (child.material) {
-                        child.material.roughness = 0.7; // Less shiny
-                        child.material.metalness = 0.1; // Less metallic
-                        child.material.envMapIntensity = 1.5; // More environment reflection
-                        
-                        // Ensure proper color encoding
-                        child.material.needsUpdate = true;
-                    }
-                }
-            });
-            
-            // Position the model
-            net.position.set(-.5, 0, 6); // Adjust position as needed
-            
-            // Rotate 180 degrees on Y axis to face the correct direction
-            net.rotation.y = Math.PI; // 180 degrees in radians
-            
-            // Scale to 1.5x and then another 25% (1.5 * 1.25 = 1.875)
-            net.scale.set(1.875, 1.875, 1.875);
-            
-            // Set visibility based on toggle
-            net.visible = showNet;
-            
-            // Add to scene
-            scene.add(net);
-            
-            console.log("Net model loaded at 1.875x scale");
-        },
-        function (xhr) {
-            console.log((xhr.loaded / xhr.total * 100) + '% loaded');
-        },
-        function (error) {
-            console.error('An error happened loading the net model', error);
-            // Fallback to simple net if model fails to load
-            createSoccerNet();
-        }
-    );
-}
-
-// Update animations control panel
-function updateAnimationsControlPanel() {
-    // If there are no animations, return
-    if (!pigAnimations || pigAnimations.length === 0) {
+// One fixed simulation step (see simulation.js)
+function simulateStep(delta) {
+    // A replay poses the scene itself while the live simulation holds still
+    if (replayState.playing) {
+        updateReplayPlayback(delta);
         return;
     }
     
-    // Remove all control panel updates
-    console.log("Pig animations loaded");
-}
-
-// Update duck animations control panel
-function updateDuckAnimationsControlPanel() {
-    // If there are no animations, return
-    if (!duckAnimations || duckAnimations.length === 0) {
-        return;
+    // Update animations
+    updateActorMixers(delta);
+    
+    // Advance the running action sequence
+    updateSequence(delta);
+    
+    // Let the keeper react to the shot before the ball moves
+    updateKeeper(delta);
+    
+    // Update ball physics if the ball is in flight or rolling
+    if (ballAnimating) {
+        stepBallPhysics(ball, delta);
+        updateShotTracking(delta);
+        
+        // Check if the ball has come to rest
+        if (!ballState.moving) {
+            ballAnimating = false;
+            ballAnimationCompleted = true;
+            console.log("Ball came to rest at", ball.position);
+        }
     }
     
-    // Remove all control panel updates
-    console.log("Duck animations loaded");
-}
-
-// Function to update the active pig animation text
-function updateActiveAnimationText(animationName) {
-    // Remove control panel updates
-    console.log(`Active pig animation: ${animationName}`);
-}
-
-// Function to update the active duck animation text
-function updateActiveDuckAnimationText(animationName) {
-    // Remove control panel updates
-    console.log(`Active duck animation: ${animationName}`);
+    // Keep this step for the replay
+    recordReplayFrame();
 }
 
 // Handle keyboard input
@@ -523,46 +185,52 @@ function onKeyDown(event) {
         return;
     }
     
-    // Check if key is 'b' for toggling ball visibility
-    if (event.key.toLowerCase() === 'b') {
-        showBall = !showBall;
-        if (ball) ball.visible = showBall;
-        console.log(`Ball visibility: ${showBall ? 'shown' : 'hidden'}`);
-        
-        // Remove UI update
-        // updateToggleState('Ball', showBall);
+    // F switches the free camera on and off, Shift+1-9 saves the view as a bookmark
+    if (event.code === 'KeyF') {
+        toggleFreeCamera();
+        return;
+    }
+    if (event.shiftKey && getBookmarkSlot(event)) {
+        saveCameraBookmark(getBookmarkSlot(event));
+        return;
     }
     
-    // Check if key is 'p' for toggling pig visibility
-    if (event.key.toLowerCase() === 'p') {
-        showPig = !showPig;
-        if (pig) pig.visible = showPig;
-        console.log(`Pig visibility: ${showPig ? 'shown' : 'hidden'}`);
-        
-        // Remove UI update
-        // updateToggleState('Pig', showPig);
+    // While the free camera is on, W A S D Q E fly it and 1-9 recall bookmarks
+    if (handleFreeCameraKey(event)) {
+        event.preventDefault();
+        return;
     }
     
-    // Check if key is 'd' for toggling duck visibility
-    if (event.key.toLowerCase() === 'd') {
-        showDuck = !showDuck;
-        if (duck) duck.visible = showDuck;
-        console.log(`Duck visibility: ${showDuck ? 'shown' : 'hidden'}`);
-        
-        // Remove UI update
-        // updateToggleState('Duck', showDuck);
+    // Z pauses, [ and ] slow down and speed up, . steps one frame
+    if (event.code === 'KeyZ') {
+        toggleTimePaused();
+        return;
+    }
+    if (event.code === 'BracketLeft' || event.code === 'BracketRight') {
+        stepTimeScale(event.code === 'BracketRight' ? 1 : -1);
+        return;
+    }
+    if (event.code === 'Period') {
+        stepTimeFrame();
+        return;
     }
     
-    // Check if key is 'n' for toggling net visibility
-    if (event.key.toLowerCase() === 'n') {
-        showNet = !showNet;
-        if (net) net.visible = showNet;
-        console.log(`Net visibility: ${showNet ? 'shown' : 'hidden'}`);
-        
-        // Remove UI update
-        // updateToggleState('Net', showNet);
+    // Up/down arrows raise and lower the loft while aiming a shot
+    if (aimState.aiming && (event.code === 'ArrowUp' || event.code === 'ArrowDown')) {
+        adjustAimLoft(event.code === 'ArrowUp' ? 1 : -1);
+        event.preventDefault();
+        return;
     }
     
+    // Visibility hotkeys come from the actor definitions
+    const key = event.key.toLowerCase();
+    Object.keys(actorDefinitions).forEach(id => {
+        if (actorDefinitions[id].visibilityKey === key) {
+            setActorVisible(id, !isActorVisible(id));
+            updateToggleState(getActorName(id), isActorVisible(id));
+        }
+    });
+    
     // Check if key is 'k' for kicking the ball
     if (event.key.toLowerCase() === 'k') {
         // Only allow kicking if ball is visible and not already animating
@@ -572,80 +240,95 @@ function onKeyDown(event) {
     }
     
     // Check if key is 's' for starting the action sequence
-    if (event.key.toLowerCase() === 's') {
+    if (event.key.toLowerCase() === 's' && sceneReady) {
         // Hide the welcome button when starting the action
-        scene.children.forEach(child => {
-            if (child.name === 'welcomeButton') {
-                // Fade out animation
-                const fadeOutDuration = 1000; // 1 second
-                const startTime = Date.now();
-                
-                function fadeOut() {
-                    const elapsed = Date.now() - startTime;
-                    const progress = Math.min(elapsed / fadeOutDuration, 1);
-                    
-                    if (child.material) {
-                        child.material.opacity = 1 - progress;
-                    }
-                    
-                    if (progress < 1) {
-                        requestAnimationFrame(fadeOut);
-                    } else {
-                        child.visible = false;
-                    }
-                }
-                
-                fadeOut();
-            }
-        });
+        hideWelcomeButton();
         
         startActionSequence();
     }
     
-    // Check if key is '1' through '5' for pig animations
-    if (event.key >= '1' && event.key <= '5' && pigAnimations && pigMixer) {
-        const index = parseInt(event.key) - 1;
-        if (index < pigAnimations.length) {
-            // Stop any current animations
-            pigMixer.stopAllAction();
-            
-            // Play the selected animation
-            const action = pigMixer.clipAction(pigAnimations[index]);
-            action.reset();
-            action.play();
-            
-            // Update the active animation text
-            updateActiveAnimationText(pigAnimations[index].name);
-            
-            console.log(`Playing pig animation: ${pigAnimations[index].name} (index ${index})`);
+    // Animation hotkeys play a role from the actor's animation manifest
+    Object.keys(actorDefinitions).forEach(id => {
+        const animationKeys = actorDefinitions[id].animationKeys || {};
+        if (animationKeys[key]) {
+            playActorRole(id, animationKeys[key]);
         }
+    });
+    
+    // Check if key is 'i' for changing how good the keeper is
+    if (event.key.toLowerCase() === 'i') {
+        cycleKeeperDifficulty();
     }
     
-    // Check for duck animation keys (q-t)
-    const duckAnimKeys = {'q': 0, 'w': 1, 'e': 2, 'r': 3, 't': 4};
-    if (duckAnimKeys.hasOwnProperty(event.key.toLowerCase()) && duckAnimations && duckMixer) {
-        const index = duckAnimKeys[event.key.toLowerCase()];
-        if (index < duckAnimations.length) {
-            // Stop any current animations
-            duckMixer.stopAllAction();
-            
-            // Play the selected animation
-            const action = duckMixer.clipAction(duckAnimations[index]);
-            action.play();
-            
-            // Update the active animation text
-            updateActiveDuckAnimationText(duckAnimations[index].name);
-            
-            console.log(`Playing duck animation: ${duckAnimations[index].name}`);
+    // Check if key is 'o' for starting or leaving a penalty shootout
+    if (event.key.toLowerCase() === 'o' && sceneReady) {
+        if (shootoutState.active) {
+            endShootout();
+        } else {
+            startShootout();
         }
     }
     
+    // Check if key is 'g' for stepping through the quality presets (and back to auto)
+    if (event.key.toLowerCase() === 'g') {
+        cycleQualityLevel();
+    }
+    
+    // Replays: V plays or stops, C changes camera, - and = change speed, J saves, U loads
+    if (event.code === 'KeyV') {
+        toggleReplay();
+    }
+    if (event.code === 'KeyC' && replayState.playing) {
+        cycleReplayCamera();
+    }
+    if ((event.code === 'Minus' || event.code === 'Equal') && replayState.playing) {
+        stepReplaySpeed(event.code === 'Equal' ? 1 : -1);
+    }
+    if (event.code === 'KeyJ') {
+        saveReplayFile();
+    }
+    if (event.code === 'KeyU') {
+        loadReplayFile();
+    }
+    
+    // Check if key is 'y' for recording the next sequence to a video clip
+    if (event.key.toLowerCase() === 'y') {
+        toggleCaptureMode();
+    }
+    
+    // Check if key is 'm' for showing or hiding the controls panel
+    if (event.key.toLowerCase() === 'm') {
+        toggleControlsPanel();
+    }
+    
+    // Check if key is 'x' for exporting the link preview (og:image) picture
+    if (event.key.toLowerCase() === 'x') {
+        promptUnfurlImage();
+    }
+    
+    // Check if key is 'l' for switching between the PBR and shaded looks
+    if (event.key.toLowerCase() === 'l') {
+        setMaterialLook();
+    }
+    
     // Check if key is 'r' for resetting the scene
     if (event.key.toLowerCase() === 'r') {
         resetScene();
     }
 }
 
+// Fade out the welcome button
+function hideWelcomeButton() {
+    scene.children.forEach(child => {
+        if (child.name === 'welcomeButton' && child.visible) {
+            // Fade out over a second, then hide it
+            tweenOpacity(child.material, 0, { duration: 1 }).then(completed => {
+                if (completed) child.visible = false;
+            });
+        }
+    });
+}
+
 // Create a simple control panel
 function createControlsPanel() {
     // Create container
@@ -695,35 +378,13 @@ function createControlsPanel() {
     togglesSection.style.flexWrap = 'wrap';
     togglesSection.style.gap = '8px';
     
-    // Create toggle for ball
-    const ballToggle = createToggle('Ball', showBall, function(checked) {
-        showBall = checked;
-        if (ball) ball.visible = checked;
+    // Create a toggle for each actor
+    Object.keys(actorDefinitions).forEach(id => {
+        togglesSection.appendChild(createToggle(getActorName(id), isActorVisible(id), function(checked) {
+            setActorVisible(id, checked);
+        }));
     });
     
-    // Create toggle for pig
-    const pigToggle = createToggle('Pig', showPig, function(checked) {
-        showPig = checked;
-        if (pig) pig.visible = checked;
-    });
-    
-    // Create toggle for duck
-    const duckToggle = createToggle('Duck', showDuck, function(checked) {
-        showDuck = checked;
-        if (duck) duck.visible = checked;
-    });
-    
-    // Create toggle for net
-    const netToggle = createToggle('Net', showNet, function(checked) {
-        showNet = checked;
-        if (net) net.visible = checked;
-    });
-    
-    togglesSection.appendChild(ballToggle);
-    togglesSection.appendChild(pigToggle);
-    togglesSection.appendChild(duckToggle);
-    togglesSection.appendChild(netToggle);
-    
     // Create hotkeys table
     const hotkeysTable = document.createElement('table');
     hotkeysTable.id = 'hotkeys-table';
@@ -756,16 +417,49 @@ function createControlsPanel() {
     // Create table body
     const tbody = document.createElement('tbody');
     
-    // Define hotkeys
-    const hotkeys = [
-        { key: 'B', description: 'Toggle ball visibility' },
-        { key: 'P', description: 'Toggle pig visibility' },
-        { key: 'D', description: 'Toggle duck visibility' },
-        { key: 'N', description: 'Toggle net visibility' },
+    // Define hotkeys, starting with each actor's visibility key
+    const hotkeys = Object.keys(actorDefinitions)
+        .filter(id => actorDefinitions[id].visibilityKey)
+        .map(id => ({
+            key: actorDefinitions[id].visibilityKey.toUpperCase(),
+            description: `Toggle ${id} visibility`
+        }));
+    
+    // Then each actor's animation keys
+    Object.keys(actorDefinitions)
+        .filter(id => actorDefinitions[id].animationKeys)
+        .forEach(id => hotkeys.push({
+            key: Object.keys(actorDefinitions[id].animationKeys).join(' ').toUpperCase(),
+            description: `Play ${id} animations`
+        }));
+    
+    hotkeys.push(
         { key: 'K', description: 'Kick the ball' },
         { key: 'S', description: 'Start action sequence' },
+        { key: 'R', description: 'Reset the scene' },
+        { key: 'I', description: 'Change keeper difficulty' },
+        { key: 'O', description: 'Start or leave a penalty shootout' },
+        { key: 'L', description: 'Switch between PBR and shaded looks' },
+        { key: 'G', description: 'Change quality (then back to auto)' },
+        { key: 'Drag', description: 'Drag from the ball to aim and shoot' },
+        { key: 'Wheel / ↑↓', description: 'Raise or lower the shot while aiming' },
+        { key: 'Space', description: 'Reset the camera' },
+        { key: 'Z', description: 'Pause or resume' },
+        { key: '[ ]', description: 'Slower or faster' },
+        { key: '.', description: 'Step one frame' },
+        { key: 'V', description: 'Play or stop the replay' },
+        { key: 'C', description: 'Next replay camera' },
+        { key: '- =', description: 'Slower or faster replay' },
+        { key: 'J', description: 'Save the replay to a file' },
+        { key: 'U', description: 'Load a replay file' },
+        { key: 'F', description: 'Free camera on or off' },
+        { key: 'W A S D Q E', description: 'Fly the free camera' },
+        { key: 'Shift+1-9', description: 'Save the view as a camera bookmark' },
+        { key: '1-9', description: 'Recall a camera bookmark (free camera)' },
+        { key: 'Y', description: 'Record the next sequence to a video clip' },
+        { key: 'X', description: 'Export the link preview image' },
         { key: 'M', description: 'Toggle controls panel' }
-    ];
+    );
     
     hotkeys.forEach((hotkey, index) => {
         const row = document.createElement('tr');
@@ -901,8 +595,8 @@ function createLights() {
     directionalLight.castShadow = true;
     
     // Improve shadow quality
-    directionalLight.shadow.mapSize.width = 2048;
-    directionalLight.shadow.mapSize.height = 2048;
+    directionalLight.shadow.mapSize.width = getQualityPreset().shadowMapSize;
+    directionalLight.shadow.mapSize.height = getQualityPreset().shadowMapSize;
     directionalLight.shadow.camera.near = 0.5;
     directionalLight.shadow.camera.far = 50;
     directionalLight.shadow.bias = -0.0001;
@@ -931,18 +625,23 @@ function createLights() {
 
 // Create a smooth cartoony grass floor
 function createCarpetFloor() {
-    // Remove any existing floor
-    scene.children.forEach(child => {
+    // Remove any existing floor (it's rebuilt when the quality preset changes)
+    scene.children.slice().forEach(child => {
         if (child.name === 'floor') {
             scene.remove(child);
+            child.geometry.dispose();
+            child.material.map.dispose();
+            child.material.dispose();
         }
     });
     
-    // Create a larger texture for smoother grass
+    // Create a larger texture for smoother grass (its size comes from the quality preset)
     const canvas = document.createElement('canvas');
-    canvas.width = 1024;
-    canvas.height = 1024;
+    canvas.width = getQualityPreset().floorTextureSize;
+    canvas.height = canvas.width;
     const context = canvas.getContext('2d');
+    const scale = canvas.width / 1024; // Sizes below are for a 1024 texture
+    const random = createRandomStream('floor'); // The same floor every time for a seed
     
     // Base color - bright green for cartoon grass
     const baseColor = '#7CCD5F';
@@ -967,13 +666,13 @@ function createCarpetFloor() {
     
     // Create varied grass patches with soft edges
     for (let i = 0; i < 60; i++) {
-        const x = Math.random() * canvas.width;
-        const y = Math.random() * canvas.height;
-        const size = 50 + Math.random() * 150;
+        const x = random() * canvas.width;
+        const y = random() * canvas.height;
+        const size = (50 + random() * 150) * scale;
         
         // Use shadow blur for softer edges
         context.shadowColor = 'rgba(94, 175, 63, 0.4)';
-        context.shadowBlur = 30;
+        context.shadowBlur = 30 * scale;
         
         context.beginPath();
         context.arc(x, y, size, 0, Math.PI * 2);
@@ -986,13 +685,13 @@ function createCarpetFloor() {
     // Add lighter green highlights with soft edges
     context.fillStyle = 'rgba(144, 224, 112, 0.3)'; // #90E070 with alpha
     for (let i = 0; i < 50; i++) {
-        const x = Math.random() * canvas.width;
-        const y = Math.random() * canvas.height;
-        const size = 40 + Math.random() * 100;
+        const x = random() * canvas.width;
+        const y = random() * canvas.height;
+        const size = (40 + random() * 100) * scale;
         
         // Use shadow blur for softer edges
         context.shadowColor = 'rgba(144, 224, 112, 0.3)';
-        context.shadowBlur = 25;
+        context.shadowBlur = 25 * scale;
         
         context.beginPath();
         context.arc(x, y, size, 0, Math.PI * 2);
@@ -1002,17 +701,17 @@ function createCarpetFloor() {
     // Reset shadow
     context.shadowBlur = 0;
     
-    // Add very subtle noise texture across the entire surface
-    for (let i = 0; i < 20000; i++) {
-        const x = Math.random() * canvas.width;
-        const y = Math.random() * canvas.height;
-        const size = 1 + Math.random() * 2;
+    // Add very subtle noise texture across the entire surface (as dense at any texture size)
+    for (let i = 0; i < 20000 * scale * scale; i++) {
+        const x = random() * canvas.width;
+        const y = random() * canvas.height;
+        const size = (1 + random() * 2) * scale;
         
         // Very subtle color variations
-        const alpha = 0.05 + Math.random() * 0.1; // Very transparent
+        const alpha = 0.05 + random() * 0.1; // Very transparent
         
         // Randomly choose between slightly darker or lighter than base
-        if (Math.random() > 0.5) {
+        if (random() > 0.5) {
             context.fillStyle = `rgba(94, 175, 63, ${alpha})`; // Darker
         } else {
             context.fillStyle = `rgba(144, 224, 112, ${alpha})`; // Lighter
@@ -1025,12 +724,12 @@ function createCarpetFloor() {
     
     // Add some small flowers for a playful touch - with soft edges
     for (let i = 0; i < 300; i++) {
-        const x = Math.random() * canvas.width;
-        const y = Math.random() * canvas.height;
-        const size = 2 + Math.random() * 4;
+        const x = random() * canvas.width;
+        const y = random() * canvas.height;
+        const size = (2 + random() * 4) * scale;
         
         // Randomly choose flower colors with alpha for better blending
-        const flowerType = Math.floor(Math.random() * 4);
+        const flowerType = Math.floor(random() * 4);
         if (flowerType === 0) context.fillStyle = 'rgba(255, 255, 255, 0.7)'; // White flowers
         else if (flowerType === 1) context.fillStyle = 'rgba(255, 244, 79, 0.7)'; // Yellow flowers
         else if (flowerType === 2) context.fillStyle = 'rgba(255, 151, 203, 0.7)'; // Pink flowers
@@ -1038,7 +737,7 @@ function createCarpetFloor() {
         
         // Add glow effect for flowers
         context.shadowColor = context.fillStyle;
-        context.shadowBlur = 4;
+        context.shadowBlur = 4 * scale;
         
         context.beginPath();
         context.arc(x, y, size, 0, Math.PI * 2);
@@ -1122,6 +821,9 @@ function addStylizedCartoonClouds() {
     context.fillStyle = 'rgba(0, 0, 0, 0)';
     context.fillRect(0, 0, canvas.width, canvas.height);
     
+    // Seeded, so the clouds drift the same way every time for a seed
+    const random = createRandomStream('clouds');
+    
     // Function to draw a cartoony cloud
     function drawCartoonCloud(ctx, x, y, width, height) {
         // Draw the base of the cloud
@@ -1254,9 +956,9 @@ function addStylizedCartoonClouds() {
         scene.add(cloud);
         
         // Add a simple animation to make the cloud float
-        const speed = 0.0005 + Math.random() * 0.001; // Slower, gentler movement
-        const direction = Math.random() > 0.5 ? 1 : -1;
-        const amplitude = 0.3 + Math.random() * 0.7; // Smaller amplitude for subtle movement
+        const speed = 0.0005 + random() * 0.001; // Slower, gentler movement
+        const direction = random() > 0.5 ? 1 : -1;
+        const amplitude = 0.3 + random() * 0.7; // Smaller amplitude for subtle movement
         const startY = pos.y;
         
         // Store animation properties on the cloud object
@@ -1265,13 +967,34 @@ function addStylizedCartoonClouds() {
             direction: direction,
             amplitude: amplitude,
             startY: startY,
-            startTime: Math.random() * 1000 // Random start time for varied movement
+            startTime: random() * 1000 // Random start time for varied movement
         };
+        
+        // Face the camera and float every frame
+        addObjectUpdatable(cloud, (delta, elapsed) => {
+            cloud.lookAt(camera.position);
+            
+            const floatY = Math.sin((elapsed + cloud.userData.startTime) * cloud.userData.speed) 
+                * cloud.userData.amplitude * cloud.userData.direction;
+            cloud.position.y = cloud.userData.startY + floatY;
+        });
     });
     
+    // Only as many as the quality preset allows
+    showClouds(getQualityPreset().cloudCount);
+    
     console.log("Added double the stylized cartoon clouds");
 }
 
+// Show the first few clouds and hide the rest
+function showClouds(count) {
+    scene.children.forEach(child => {
+        if (child.name && child.name.startsWith('cloud_')) {
+            child.visible = parseInt(child.name.slice('cloud_'.length), 10) < count;
+        }
+    });
+}
+
 // Create a simple ball (fallback)
 function createSimpleBall() {
     const ballGeometry = new THREE.SphereGeometry(0.15, 32, 32);
@@ -1284,12 +1007,12 @@ function createSimpleBall() {
     ball = new THREE.Mesh(ballGeometry, ballMaterial);
     ball.castShadow = true;
     ball.receiveShadow = true;
-    ball.position.copy(ballStartPosition);
-    ball.visible = showBall;
     
     scene.add(ball);
     
     console.log("Simple ball created as fallback");
+    
+    return ball;
 }
 
 // Create a soccer net
@@ -1481,13 +1204,14 @@ function createSoccerNet() {
     scene.add(net);
     
     console.log("Soccer net created");
+    
+    return net;
 }
 
 // Handle window resize
 function onWindowResize() {
-    camera.aspect = window.innerWidth / window.innerHeight;
-    camera.updateProjectionMatrix();
-    renderer.setSize(window.innerWidth, window.innerHeight);
+    updateScreenLayout(camera, renderer, defaultCameraFov);
+    applyCaptureSize(); // A fixed-size recording keeps its size
 }
 
 // Initialize when the window loads
@@ -1509,13 +1233,13 @@ function updateToggleState(label, state) {
             if (checkbox) {
                 checkbox.checked = state;
                 
-                // Also update the slider appearance
-                const slider = toggleContainer.querySelector('div > div');
+                // Also update the slider appearance (it sits next to the checkbox)
+                const slider = checkbox.nextElementSibling;
                 if (slider) {
                     slider.style.backgroundColor = state ? '#4CAF50' : '#ccc';
                     
                     // Update the knob position
-                    const knob = slider.querySelector('div');
+                    const knob = slider.firstElementChild;
                     if (knob) {
                         knob.style.left = state ? '18px' : '2px';
                     }
@@ -1527,418 +1251,129 @@ function updateToggleState(label, state) {
     }
 }
 
-// Start the action sequence
-function startActionSequence() {
+// Start the action sequence, optionally with a player-aimed shot
+function startActionSequence(script, shot) {
     // Only start if not already running
     if (!actionSequenceRunning) {
-        // Reset flags and stop any existing animations
         actionSequenceRunning = true;
-        if (pigMixer) {
-            pigMixer.stopAllAction();
-        }
         
-        // Play the kick animation (same as pressing "2")
-        if (pigMixer && pigAnimations && pig) {
-            // Use animation index 1 (the same as pressing "2")
-            const kickAnimIndex = 1;
-            
-            // Find the hip bone to track position
-            let hipBone;
-            pig.traverse(node => {
-                if (node.isBone && node.name === "mixamorigHips") {
-                    hipBone = node;
-                }
-            });
-            
-            // Play the kick animation and store the action
-            pigKickAction = pigMixer.clipAction(pigAnimations[4]);
-            
-            // Set the animation to play once
-            pigKickAction.setLoop(THREE.LoopOnce);
-            pigKickAction.clampWhenFinished = false;
-            pigKickAction.reset();
-            pigKickAction.play();
-            
-            // Remove any existing finished event listeners
-            pigMixer.removeEventListener('finished');
-            
-            // Add event listener for animation sequencing
-            pigMixer.addEventListener('finished', function(e) {
-                if (e.action === pigKickAction && hipBone) {
-                    // Check if this is the second animation
-                    if (pigKickAction._clip === pigAnimations[0]) {
-                        // If it's the second animation, hold the last frame
-                        pigKickAction.enabled = true;
-                        pigKickAction.paused = true;
-                        pigKickAction.time = pigKickAction._clip.duration;
-                        return;
-                    }
-                    
-                    // Get ending position
-                    const worldPos = new THREE.Vector3();
-                    hipBone.getWorldPosition(worldPos);
-                    
-                    // Update pig position to match end of animation
-                    pig.position.x = worldPos.x;
-                    pig.position.y = 0; // Keep on ground
-                    pig.position.z = worldPos.z;
-                    
-                    // Create a new kick action for the second animation
-                    const nextKickAction = pigMixer.clipAction(pigAnimations[0]);
-                    nextKickAction.reset();
-                    nextKickAction.setLoop(THREE.LoopOnce);
-                    nextKickAction.clampWhenFinished = true;
-
-                    // Set starting frame (time in seconds)
-                    const fps = 30;  // assuming 30 fps animation
-                    const startFrame = 5;
-                    nextKickAction.time = startFrame / fps;
-                    
-                    // Hold the last frame of the first animation
-                    pigKickAction.paused = true;
-                    pigKickAction.time = pigKickAction._clip.duration - 10; // Set to last frame
-                    
-                    // Delay the second animation by 600ms
-                    setTimeout(() => {
-                        // Resume the first animation before crossfade
-                        // pigKickAction.paused = false;
-                        // Crossfade between animations
-                        pigKickAction.crossFadeTo(nextKickAction, 0.15, false);
-                         nextKickAction.play();
-                    }, 0);
-                    
-                    // Update reference to current action
-                    pigKickAction = nextKickAction;
-                    
-                    // Update the active animation text
-                    updateActiveAnimationText(pigAnimations[0].name);
-                    
-                    console.log(`Crossfading to next kick animation from position:`, worldPos);
-                }
-            });
-            
-            console.log(`Pig kick animation started: ${pigAnimations[kickAnimIndex].name}`);
-        }
+        // The ball is kicked with this shot when the script says so
+        pendingShot = shot || null;
         
-        // Wait a short time before kicking the ball
-        setTimeout(() => {
-            if (ball && ball.visible && !ballAnimating) {
-                kickBall();
-                
-                // When the ball is kicked, also have the duck do the goal_save animation
-                if (duckMixer && duckAnimations) {
-                    // Find the goal_save animation
-                    let saveAnimIndex = -1;
-                    
-                    // Search for an animation with "goal_save" or "save" in the name
-                    for (let i = 0; i < duckAnimations.length; i++) {
-                        const animName = duckAnimations[i].name.toLowerCase();
-                        if (animName.includes('goal_save') || animName.includes('save')) {
-                            saveAnimIndex = i;
-                            break;
-                        }
-                    }
-                    
-                    // If no specific save animation found, try index 3 as a fallback
-                    if (saveAnimIndex === -1) {
-                        saveAnimIndex = 3;
-                        console.warn("No 'goal_save' animation found. Using animation index 3 as fallback.");
-                    }
-                    
-                    // Stop any current animations
-                    duckMixer.stopAllAction();
-                    
-                    // Play the save animation and store the action
-                    duckReactAction = duckMixer.clipAction(duckAnimations[saveAnimIndex]);
-                    
-                    // Set the animation to play once and hold the last frame
-                    duckReactAction.setLoop(THREE.LoopOnce);
-                    duckReactAction.clampWhenFinished = true;
-                    
-                    // Start the animation
-                    duckReactAction.reset();
-                    duckReactAction.play();
-                    
-                    // Add event listener for when save animation finishes
-                    duckMixer.addEventListener('finished', function(e) {
-                        if (e.action === duckReactAction) {
-                            // Check if this is the second animation
-                            if (duckReactAction._clip === duckAnimations[4]) {
-                                // If it's the second animation, hold the last frame
-                                duckReactAction.enabled = true;
-                                duckReactAction.paused = true;
-                                duckReactAction.time = duckReactAction._clip.duration;
-                                return;
-                            }
-                            
-                            // Create a simple fade effect
-                            let opacity = 1.0;
-                            const fadeOutDuration = 100; // ms
-                            const fadeInDuration = 100; // ms
-                            const startTime = Date.now();
-                            
-                            // Find all materials on the duck
-                            const materials = [];
-                            duck.traverse(node => {
-                                if (node.isMesh && node.material) {
-                                    if (Array.isArray(node.material)) {
-                                        node.material.forEach(mat => {
-                                            if (!materials.includes(mat)) {
-                                                materials.push(mat);
-                                                // Enable transparency
-                                                mat.transparent = true;
-                                            }
-                                        });
-                                    } else {
-                                        if (!materials.includes(node.material)) {
-                                            materials.push(node.material);
-                                            // Enable transparency
-                                            node.material.transparent = true;
-                                        }
-                                    }
-                                }
-                            });
-                            
-                            // Store original opacity values
-                            const originalOpacity = materials.map(mat => mat.opacity);
-                            
-                            // Fade out function
-                            function fadeOut() {
-                                const elapsed = Date.now() - startTime;
-                                opacity = Math.max(0, 1 - (elapsed / fadeOutDuration));
-                                
-                                // Apply opacity to all materials
-                                materials.forEach(mat => {
-                                    mat.opacity = opacity;
-                                });
-                                
-                                if (opacity > 0) {
-                                    requestAnimationFrame(fadeOut);
-                                } else {
-                                    // Duck is now invisible, set up the next animation
-                                    setupNextAnimation();
-                                }
-                            }
-                            
-                            // Start fade out
-                            fadeOut();
-                            
-                            // Set up the next animation
-                            function setupNextAnimation() {
-                                // Find the hip bone to track position
-                                let hipBone;
-                                duck.traverse(node => {
-                                    if (node.isBone && node.name === "mixamorigHips") {
-                                        hipBone = node;
-                                    }
-                                });
-                                
-                                // Get ending position
-                                const worldPos = new THREE.Vector3();
-                                hipBone.getWorldPosition(worldPos);
-                                
-                                // Update duck position to match end of animation
-                                duck.position.x = worldPos.x;
-                                duck.position.y = 0; // Keep on ground
-                                duck.position.z = worldPos.z;
-                                
-                                // Store the current position
-                                const currentPos = duck.position.clone();
-                                
-                                // Create the flip animation
-                                duckMixer.stopAllAction();
-                                const flipAction = duckMixer.clipAction(duckAnimations[4]);
-                                flipAction.reset();
-                                flipAction.setLoop(THREE.LoopOnce);
-                                flipAction.clampWhenFinished = true;
-                                
-                                // Play the animation for a tiny amount to see where it positions the model
-                                flipAction.play();
-                                duckMixer.update(0.001);
-                                
-                                // Calculate the offset between where we want to be and where the animation puts us
-                                const newPos = duck.position.clone();
-                                const offset = new THREE.Vector3().subVectors(currentPos, newPos);
-                                
-                                // Apply the offset to keep the duck in the same place
-                                duck.position.add(offset);
-                                
-                                // Reset and replay the animation from the adjusted position
-                                flipAction.reset();
-                                
-                                // Start the fade in
-                                const fadeInStartTime = Date.now();
-                                
-                                // Fade in function
-                                function fadeIn() {
-                                    const elapsed = Date.now() - fadeInStartTime;
-                                    opacity = Math.min(1, elapsed / fadeInDuration);
-                                    
-                                    // Apply opacity to all materials
-                                    materials.forEach((mat, i) => {
-                                        mat.opacity = opacity * originalOpacity[i];
-                                    });
-                                    
-                                    if (opacity < 1) {
-                                        requestAnimationFrame(fadeIn);
-                                    } else {
-                                        // Restore original transparency settings
-                                        materials.forEach((mat, i) => {
-                                            mat.opacity = originalOpacity[i];
-                                            mat.transparent = originalOpacity[i] < 1;
-                                        });
-                                    }
-                                }
-                                
-                                // Start fade in and play animation
-                                fadeIn();
-                                flipAction.play();
-                                
-                                // Update reference to current action
-                                duckReactAction = flipAction;
-                                
-                                // Update the animation name display
-                                updateActiveDuckAnimationText(duckAnimations[4].name);
-                                
-                                // Add event listener for when flip animation finishes
-                                duckMixer.addEventListener('finished', function(e) {
-                                    if (e.action === flipAction) {
-                                        // Store the current position
-                                        const currentPos = duck.position.clone();
-                                        
-                                        // Create the dance animation
-                                        const danceAction = duckMixer.clipAction(duckAnimations[0]);
-                                        danceAction.reset();
-                                        danceAction.setLoop(THREE.LoopRepeat); // Let it loop
-                                        
-                                        // Play the animation for a tiny amount to see where it positions the model
-                                        danceAction.play();
-                                        duckMixer.update(0.001);
-                                        danceAction.stop();
-                                        
-                                        // Calculate the offset between where we want to be and where the animation puts us
-                                        const newPos = duck.position.clone();
-                                        const offset = new THREE.Vector3().subVectors(currentPos, newPos);
-                                        
-                                        // Apply the offset to keep the duck in the same place
-                                        duck.position.add(offset);
-                                        
-                                        // Reset the dance animation
-                                        danceAction.reset();
-                                        
-                                        // Set up a smooth crossfade from flip to dance
-                                        // Keep the flip action enabled but paused at the last frame
-                                        flipAction.enabled = true;
-                                        flipAction.paused = true;
-                                        flipAction.time = flipAction._clip.duration;
-                                        
-                                        // Start the dance with a crossfade
-                                        const crossfadeDuration = 0.5; // Half a second crossfade
-                                        flipAction.crossFadeTo(danceAction, crossfadeDuration, true);
-                                        danceAction.play();
-                                        
-                                        // Update reference to current action
-                                        duckReactAction = danceAction;
-                                        
-                                        // Update the animation name display
-                                        updateActiveDuckAnimationText(duckAnimations[0].name);
-                                        
-                                        console.log(`Duck dance animation started with smooth crossfade: ${duckAnimations[0].name}`);
-                                    }
-                                });
-                                
-                                // Show the goodbye button when the dance animation starts
-                                createGoodbyeButton();
-                            }
-                        }
-                    });
-                    
-                    console.log(`Duck goal_save animation started: ${duckAnimations[saveAnimIndex].name} (index ${saveAnimIndex})`);
-                }
-            }
-        }, 800); // 800ms delay
+        // Record it for replays, leaving any replay that is playing
+        stopReplay();
+        startReplayRecording();
         
-        console.log("Action sequence started");
+        // Let the script direct the camera until it is grabbed
+        startCameraDirector();
         
-        // Log available animations to help identify the correct indices
-        if (duckAnimations) {
-            console.log("Available duck animations:");
-            duckAnimations.forEach((anim, index) => {
-                console.log(`${index}: ${anim.name}`);
-            });
-        }
+        // Record a clip of it in record mode
+        startVideoCapture();
+        
+        // Run the script (the original kick and save show by default) with the current cast
+        playSequence(script || defaultSequenceScript, getSequenceActors(currentCast));
     }
 }
 
-// Reset the scene to initial state
-function resetScene() {
-    // Stop any running sequence
-    actionSequenceRunning = false;
+// Collect the animated actors that sequence scripts can drive
+// Characters are listed by name, and by role too when a cast is given
+function getSequenceActors(cast) {
+    const actors = {};
+    
+    // Every loaded actor with animations
+    Object.keys(actorRegistry).forEach(id => {
+        if (actorRegistry[id].mixer) actors[id] = actorRegistry[id];
+    });
     
-    // Reset ball position and rotation
-    if (ball) {
-        ball.position.copy(ballStartPosition);
-        ball.rotation.set(0, 0, 0);
+    // Map roles onto characters, e.g. shooter -> pig
+    if (cast) {
+        Object.keys(cast).forEach(role => {
+            if (actors[cast[role]]) actors[role] = actors[cast[role]];
+        });
     }
     
-    // Reset pig position and animation
-    if (pig) {
-        pig.position.copy(pigPosition); // Reset to default position
+    return actors;
+}
+
+// Put each character on its spot for the current cast
+function placeCast() {
+    const shooterActor = getActor(currentCast.shooter);
+    const keeperActor = getActor(currentCast.keeper);
+    const shooter = shooterActor && shooterActor.object;
+    const keeper = keeperActor && keeperActor.object;
+    
+    // The shooter starts behind the ball, facing the goal
+    if (shooter) {
+        shooter.position.copy(shooterPosition);
+        shooter.rotation.y = 0;
+        shooter.scale.x = Math.abs(shooter.scale.x);
     }
     
-    // Reset duck position and animation
-    if (duck) {
-        duck.position.copy(duckPosition); // Reset to default position
-        duck.rotation.y = Math.PI; // Reset rotation (180 degrees)
+    // The keeper stands in goal facing the shooter
+    if (keeper) {
+        keeper.position.copy(getKeeperStartPosition());
+        keeper.rotation.y = Math.PI; // 180 degrees
+        keeper.scale.x = Math.abs(keeper.scale.x); // Undo any mirrored dive
+        
+        // The ball can bounce off the keeper's hands and body
+        setKeeperBody(keeper);
     }
     
-    // Reset animations
-    if (pigMixer) {
-        pigMixer.stopAllAction();
-        
-        // Find and play the "stand" animation
-        if (pigAnimations && pigAnimations.length > 0) {
-            let standAnimIndex = 0;
-            
-            for (let i = 0; i < pigAnimations.length; i++) {
-                const animName = pigAnimations[i].name.toLowerCase();
-                if (animName.includes('stand') || animName.includes('idle')) {
-                    standAnimIndex = i;
-                    break;
-                }
-            }
-            
-            const action = pigMixer.clipAction(pigAnimations[standAnimIndex]);
-            action.reset();
-            action.play();
-            
-            updateActiveAnimationText(pigAnimations[standAnimIndex].name);
+    // Don't draw them sliding over from where they were
+    resetInterpolation();
+}
+
+// Register the actions that sequence scripts can trigger
+function registerSequenceActions() {
+    // Kick the ball if it is ready
+    registerSequenceAction('kickBall', function() {
+        if (ball && ball.visible && !ballAnimating) {
+            kickBall(pendingShot);
         }
+    });
+    
+    // Show the goodbye button (a clip being recorded ends a little after)
+    registerSequenceAction('showGoodbye', function() {
+        createGoodbyeButton();
+        endVideoCaptureAfter(captureSettings.tailSeconds);
+    });
+}
+
+// Reset the scene to initial state, optionally swapping who shoots and who keeps
+function resetScene(cast) {
+    // Stop any running sequence, replay, video clip, and any fades or camera moves still going
+    stopReplay();
+    stopReplayRecording();
+    stopVideoCapture();
+    stopSequence();
+    cancelAllTweens();
+    actionSequenceRunning = false;
+    
+    // Replay the same luck as the first run (a shootout keeps its streams going between kicks)
+    if (!shootoutState.active) {
+        restartRandomStreams();
     }
     
-    if (duckMixer) {
-        duckMixer.stopAllAction();
-        
-        // Find and play the "stand" animation
-        if (duckAnimations && duckAnimations.length > 0) {
-            let standAnimIndex = 0;
-            
-            for (let i = 0; i < duckAnimations.length; i++) {
-                const animName = duckAnimations[i].name.toLowerCase();
-                if (animName.includes('stand') || animName.includes('idle')) {
-                    standAnimIndex = i;
-                    break;
-                }
-            }
-            
-            const action = duckMixer.clipAction(duckAnimations[standAnimIndex]);
-            action.reset();
-            action.play();
-            
-            updateActiveDuckAnimationText(duckAnimations[standAnimIndex].name);
-        }
+    if (cast) {
+        currentCast = cast;
     }
     
+    // Reset ball position and rotation
+    if (ball) {
+        placeBall(ball, ballStartPosition);
+    }
+    
+    // Put the shooter and keeper back on their spots
+    placeCast();
+    
+    // Reset animations
+    getCharacterIds().forEach(id => playIdleClip(getActor(id)));
+    
+    // Forget the last shot
+    cancelShotTracking();
+    stopKeeper();
+    lastShotOutcome = null;
+    
     // Reset flags
     ballAnimating = false;
     ballAnimationCompleted = false;
@@ -1968,27 +1403,102 @@ function resetScene() {
     console.log("Scene fully reset to initial state");
 }
 
-// Kick the ball with a smooth, simple arc
-function kickBall() {
+// Kick the ball with the given shot (or the default kick)
+function kickBall(shot) {
     // Only start if not already animating
     if (!ballAnimating && ball) {
         // Reset ball position to start
-        ball.position.copy(ballStartPosition);
-        ball.rotation.set(0, 0, 0);
+        placeBall(ball, ballStartPosition);
+        
+        // Launch the ball and let the physics take over
+        const launch = createShotVelocity(shot || defaultShot);
+        launchBall(launch.velocity, launch.spin);
+        
+        // Watch the ball against the goal to decide the outcome
+        lastShotOutcome = null;
+        startShotTracking(onShotOutcome);
+        
+        // The keeper reads the shot and dives for it
+        startKeeperReaction(getSequenceActors(currentCast).keeper, ballState.position, launch.velocity, launch.spin, onKeeperDone);
         
-        // Start animation
         ballAnimating = true;
-        ballAnimationStartTime = Date.now();
         ballAnimationCompleted = false;
         
-        console.log("Ball kicked with smooth arc");
+        console.log("Ball kicked with velocity", launch.velocity, "and spin", launch.spin);
     }
 }
 
-// Create a stylized welcome button with dark gold color
-function createWelcomeButton() {
+// Record the outcome of a shot and let the sequence react to it
+function onShotOutcome(outcome) {
+    lastShotOutcome = outcome;
+    keeperShotResolved();
+    
+    // Count the kick if we're in a shootout
+    if (shootoutState.active && actionSequenceRunning) {
+        recordShootoutKick(currentCast.shooter, outcome);
+    }
+    
+    if (activeSequence) {
+        activeSequence.setVariable('outcome', outcome);
+    }
+}
+
+// Put characters on their spots as they load
+function onActorLoaded(actor) {
+    if (actor.definition.character && !actionSequenceRunning) {
+        placeCast();
+    }
+    
+    checkSceneReady();
+}
+
+// Ready once every defined actor is in the scene or has failed for good, and their textures have loaded
+function checkSceneReady() {
+    const allSettled = Object.keys(actorDefinitions).every(id => getActor(id) || actorLoadFailures[id]);
+    if (allSettled && isLoadingSettled() && !sceneReady) {
+        onSceneReady();
+    }
+}
+
+// Everything has loaded: hide the progress and let the show start
+function onSceneReady() {
+    sceneReady = true;
+    hideLoadingOverlay();
+    
+    // Make the welcome button clickable
+    scene.children.forEach(child => {
+        if (child.name === 'welcomeButton') {
+            child.userData.isButton = true;
+        }
+    });
+    updateWelcomeButton('Welcome!', getActionText('start'));
+    
+    console.log("All actors and their textures loaded, ready to start");
+}
+
+// Put the keeper in goal once the goal frame is known
+function onGoalReady() {
+    if (!actionSequenceRunning) {
+        placeCast();
+    }
+}
+
+// Let the sequence move on once the keeper's dive is over
+function onKeeperDone() {
+    if (activeSequence) {
+        activeSequence.setVariable('keeperDive', 'done');
+    }
+}
+
+// Where the keeper stands before a shot: in goal once the net is known
+function getKeeperStartPosition() {
+    return getKeeperHome() || keeperPosition;
+}
+
+// Draw a billboard face: rounded gradient panel with a title and a smaller subtitle
+function drawBillboard(title, subtitle, colors, canvas) {
     // Create a canvas for the button texture
-    const canvas = document.createElement('canvas');
+    canvas = canvas || document.createElement('canvas');
     canvas.width = 1200;
     canvas.height = 600;
     const context = canvas.getContext('2d');
@@ -1996,14 +1506,13 @@ function createWelcomeButton() {
     // Clear the canvas completely first
     context.clearRect(0, 0, canvas.width, canvas.height);
     
-    // Button background - rounded rectangle with dark gold gradient
+    // Button background - rounded rectangle with a vertical gradient
     const gradient = context.createLinearGradient(0, 0, 0, canvas.height);
-    gradient.addColorStop(0, '#6A1B9A');  // purple top
-    gradient.addColorStop(1, '#38006B');  // purple bottom
+    gradient.addColorStop(0, colors[0]);  // Lighter top
+    gradient.addColorStop(1, colors[1]);  // Darker bottom
     
-    // Draw rounded rectangle for button with padding
+    // Draw rounded rectangle for button
     const cornerRadius = 60;
-    const padding = 80;
     
     // Draw the button shape
     context.beginPath();
@@ -2022,32 +1531,69 @@ function createWelcomeButton() {
     context.fillStyle = gradient;
     context.fill();
     
-    // Add a subtle shadow for depth
-    context.shadowColor = 'rgba(0, 0, 0, 0.5)';
-    context.shadowBlur = 15;
-    context.shadowOffsetX = 0;
-    context.shadowOffsetY = 10;
-    
-    // Reset shadow for text
+    // Soft shadow for the text
     context.shadowColor = 'rgba(0, 0, 0, 0.3)';
     context.shadowBlur = 5;
     context.shadowOffsetX = 2;
     context.shadowOffsetY = 2;
     
-    // Add main text - using consistent font size of 90px
+    // Add main text - 90px, shrunk to fit long titles like "Round 3 — Pig to shoot"
     context.fillStyle = 'white';
-    context.font = 'bold 90px Arial, sans-serif';
     context.textAlign = 'center';
     context.textBaseline = 'middle';
-    
-    // Draw the main text
-    context.fillText('Welcome!', canvas.width/2, canvas.height/2 - 80);
+    let titleSize = 90;
+    context.font = `bold ${titleSize}px Arial, sans-serif`;
+    while (titleSize > 40 && context.measureText(title).width > canvas.width - 120) {
+        titleSize -= 5;
+        context.font = `bold ${titleSize}px Arial, sans-serif`;
+    }
+    context.fillText(title, canvas.width/2, canvas.height/2 - 80);
     
     // Add instruction text - using consistent font size of 60px
     context.font = 'bold 60px Arial, sans-serif';
-    // Change text to indicate click/tap instead of key press
-    const actionText = isMobileDevice() ? '(Tap to start)' : '(Click to start)';
-    context.fillText(actionText, canvas.width/2, canvas.height/2 + 80);
+    context.fillText(subtitle, canvas.width/2, canvas.height/2 + 80);
+    
+    return canvas;
+}
+
+// Instruction text for a billboard, e.g. "(Click to start)" or "(Tap to start)"
+function getActionText(action) {
+    return isMobileDevice() ? `(Tap to ${action})` : `(Click to ${action})`;
+}
+
+// Redraw the welcome button with new text
+function updateWelcomeButton(title, subtitle) {
+    scene.children.forEach(child => {
+        if (child.name === 'welcomeButton') {
+            drawBillboard(title, subtitle, ['#6A1B9A', '#38006B'], child.userData.canvas);
+            child.material.map.needsUpdate = true;
+        }
+    });
+}
+
+// Banner for the goodbye button: the shot's outcome, or the shootout's progress
+function getGoodbyeBanner() {
+    if (shootoutState.active) {
+        return getShootoutBanner(lastShotOutcome);
+    }
+    
+    // A save if the shot was never decided
+    const banner = shotOutcomeBanners[lastShotOutcome] || shotOutcomeBanners.save;
+    
+    return {
+        title: banner.title.replace('{shooter}', getActorName(currentCast.shooter)),
+        subtitle: getActionText('reset'),
+        colors: banner.colors,
+        onClick: function() {
+            resetScene();
+        }
+    };
+}
+
+// Create a stylized welcome button with dark gold color
+function createWelcomeButton(title, subtitle) {
+    // Draw the button face
+    const canvas = drawBillboard(title || 'Welcome!', subtitle || getActionText('start'), ['#6A1B9A', '#38006B']);
     
     // Create a texture from the canvas
     const buttonTexture = new THREE.CanvasTexture(canvas);
@@ -2074,10 +1620,12 @@ function createWelcomeButton() {
     button.userData = {
         startY: 2,
         amplitude: 0.1,
-        speed: 0.001,
-        startTime: Date.now(),
-        isButton: true,
-        onClick: startActionSequence
+        speed: 1, // Radians per second
+        isButton: sceneReady, // Not clickable until everything has loaded
+        canvas: canvas, // Kept so the text can be redrawn
+        onClick: function() {
+            startActionSequence();
+        }
     };
     
     // Add to scene
@@ -2125,117 +1673,37 @@ function addButtonPulseEffect(button) {
     
     // Add the update function to the button
     button.userData.updatePulse = updatePulse;
+    
+    // Face the camera, float and pulse every frame until the button is removed
+    addObjectUpdatable(button, (delta, elapsed) => {
+        if (!button.visible) return;
+        
+        button.lookAt(camera.position);
+        button.position.y = button.userData.startY + Math.sin(elapsed * button.userData.speed) * button.userData.amplitude;
+        updatePulse(delta);
+    });
 }
 
 // Reset camera to default position
 function resetCameraPosition() {
-    // Create a smooth transition
-    const startPosition = camera.position.clone();
-    const startTarget = controls.target.clone();
-    const startTime = Date.now();
-    const duration = 1000; // 1 second transition
-    
-    function updateCameraPosition() {
-        const elapsed = Date.now() - startTime;
-        const progress = Math.min(elapsed / duration, 1);
-        
-        // Use easeInOutCubic for smooth transition
-        const easeProgress = progress < 0.5 
-            ? 4 * progress * progress * progress 
-            : 1 - Math.pow(-2 * progress + 2, 3) / 2;
-        
-        // Interpolate position
-        camera.position.lerpVectors(
-            startPosition, 
-            defaultCameraPosition,
-            easeProgress
-        );
-        
-        // Interpolate target
-        controls.target.lerpVectors(
-            startTarget,
-            defaultCameraTarget,
-            easeProgress
-        );
-        
-        // Update controls
-        controls.update();
-        
-        // Continue animation if not complete
-        if (progress < 1) {
-            requestAnimationFrame(updateCameraPosition);
-        } else {
-            console.log("Camera reset to default position");
-        }
-    }
-    
-    // Start the transition
-    updateCameraPosition();
+    // Take the camera back from any directed shot
+    stopCameraDirector();
+    
+    // Ease the camera and its target back over a second
+    const options = { duration: 1, easing: easings.easeInOutCubic, realTime: true };
+    tweenVector(controls.target, defaultCameraTarget, options);
+    tweenVector(camera.position, defaultCameraPosition, options).then(completed => {
+        if (completed) console.log("Camera reset to default position");
+    });
 }
 
-// Create a stylized goodbye button with red color
+// Create a stylized goodbye button showing the outcome of the shot
 function createGoodbyeButton() {
-    // Create a canvas for the button texture
-    const canvas = document.createElement('canvas');
-    canvas.width = 1200;
-    canvas.height = 600;
-    const context = canvas.getContext('2d');
-    
-    // Clear the canvas completely first
-    context.clearRect(0, 0, canvas.width, canvas.height);
-    
-    // Button background - rounded rectangle with red gradient
-    const gradient = context.createLinearGradient(0, 0, 0, canvas.height);
-    gradient.addColorStop(0, '#FF3333');  // Bright red top
-    gradient.addColorStop(1, '#990000');  // Darker red bottom
-    
-    // Draw rounded rectangle for button with padding
-    const cornerRadius = 60;
-    const padding = 80;
-    
-    // Draw the button shape
-    context.beginPath();
-    context.moveTo(cornerRadius, 0);
-    context.lineTo(canvas.width - cornerRadius, 0);
-    context.quadraticCurveTo(canvas.width, 0, canvas.width, cornerRadius);
-    context.lineTo(canvas.width, canvas.height - cornerRadius);
-    context.quadraticCurveTo(canvas.width, canvas.height, canvas.width - cornerRadius, canvas.height);
-    context.lineTo(cornerRadius, canvas.height);
-    context.quadraticCurveTo(0, canvas.height, 0, canvas.height - cornerRadius);
-    context.lineTo(0, cornerRadius);
-    context.quadraticCurveTo(0, 0, cornerRadius, 0);
-    context.closePath();
+    // Pick the banner for the outcome (or the shootout's banner during a shootout)
+    const banner = getGoodbyeBanner();
     
-    // Fill with gradient
-    context.fillStyle = gradient;
-    context.fill();
-    
-    // Add a subtle shadow for depth
-    context.shadowColor = 'rgba(0, 0, 0, 0.5)';
-    context.shadowBlur = 15;
-    context.shadowOffsetX = 0;
-    context.shadowOffsetY = 10;
-    
-    // Reset shadow for text
-    context.shadowColor = 'rgba(0, 0, 0, 0.3)';
-    context.shadowBlur = 5;
-    context.shadowOffsetX = 2;
-    context.shadowOffsetY = 2;
-    
-    // Add main text - using consistent font size of 90px
-    context.fillStyle = 'white';
-    context.font = 'bold 90px Arial, sans-serif';
-    context.textAlign = 'center';
-    context.textBaseline = 'middle';
-    
-    // Draw the main text
-    context.fillText('Pig Loses!', canvas.width/2, canvas.height/2 - 80);
-    
-    // Add instruction text - using consistent font size of 60px
-    context.font = 'bold 60px Arial, sans-serif';
-    // Change text to indicate click/tap instead of key press
-    const actionText = isMobileDevice() ? '(Tap to reset)' : '(Click to reset)';
-    context.fillText(actionText, canvas.width/2, canvas.height/2 + 80);
+    // Draw the button face
+    const canvas = drawBillboard(banner.title, banner.subtitle, banner.colors);
     
     // Create a texture from the canvas
     const buttonTexture = new THREE.CanvasTexture(canvas);
@@ -2262,31 +1730,13 @@ function createGoodbyeButton() {
     button.userData = {
         startY: 1.8, // Match the new position
         amplitude: 0.1,
-        speed: 0.001,
-        startTime: Date.now(),
+        speed: 1, // Radians per second
         isButton: true,
         onClick: function() {
-            // Add fade out animation before resetting
-            const fadeOutDuration = 1000; // 1 second
-            const startTime = Date.now();
-            
-            function fadeOut() {
-                const elapsed = Date.now() - startTime;
-                const progress = Math.min(elapsed / fadeOutDuration, 1);
-                
-                if (button.material) {
-                    button.material.opacity = 1 - progress;
-                }
-                
-                if (progress < 1) {
-                    requestAnimationFrame(fadeOut);
-                } else {
-                    // Once fully faded out, reset the scene
-                    resetScene();
-                }
-            }
-            
-            fadeOut();
+            // Once fully faded out, move on (reset, or the next shootout kick)
+            tweenOpacity(button.material, 0, { duration: 1 }).then(completed => {
+                if (completed) banner.onClick();
+            });
         }
     };
     
@@ -2296,28 +1746,7 @@ function createGoodbyeButton() {
     // Add a pulsing effect to make it more noticeable
     addButtonPulseEffect(button);
     
-    console.log("Goodbye button created with red color and improved click detection");
-}
-
-// Add this function to your code
-function updateButtons(deltaTime) {
-    scene.children.forEach(child => {
-        if (child.name === 'welcomeButton' || child.name === 'goodbyeButton') {
-            // Make button always face the camera
-            child.lookAt(camera.position);
-            
-            // Apply floating animation
-            if (child.userData && child.userData.startY !== undefined) {
-                const time = Date.now() * child.userData.speed;
-                child.position.y = child.userData.startY + Math.sin(time) * child.userData.amplitude;
-            }
-        }
-    });
-}
-
-// Helper function to detect mobile devices
-function isMobileDevice() {
-    return /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
+    console.log(`Goodbye button created for outcome: ${lastShotOutcome || 'undecided'}`);
 }
 
 // Add this function to handle click/tap events
@@ -2348,46 +1777,26 @@ function handleClick(event) {
             if (targetObject.userData && targetObject.userData.isButton && targetObject.userData.onClick) {
                 buttonClicked = true;
                 
-                // Add a visual feedback for the click
-                const originalScale = targetObject.scale.x;
+                // Add a visual feedback for the click: hold the pulse and squash it briefly
+                const button = targetObject;
+                const timeline = button.userData.timeline;
+                const originalScale = button.scale.x;
+                if (timeline) timeline.pulsing = false;
                 
-                // Quick scale down and up animation
-                const scaleDown = () => {
-                    targetObject.scale.set(originalScale * 0.9, originalScale * 0.9, 1);
-                    
-                    // If it's the welcome button, fade it out
-                    if (targetObject.name === 'welcomeButton') {
-                        // Fade out animation
-                        const fadeOutDuration = 1000; // 1 second
-                        const startTime = Date.now();
-                        
-                        function fadeOut() {
-                            const elapsed = Date.now() - startTime;
-                            const progress = Math.min(elapsed / fadeOutDuration, 1);
-                            
-                            if (targetObject.material) {
-                                targetObject.material.opacity = 1 - progress;
-                            }
-                            
-                            if (progress < 1) {
-                                requestAnimationFrame(fadeOut);
-                            } else {
-                                targetObject.visible = false;
-                            }
-                        }
-                        
-                        fadeOut();
-                    }
-                    
-                    setTimeout(() => {
-                        targetObject.scale.set(originalScale, originalScale, 1);
-                        
-                        // Call the button's click handler after the visual feedback
-                        targetObject.userData.onClick();
-                    }, 100);
-                };
+                // If it's the welcome button, fade it out
+                if (button.name === 'welcomeButton') {
+                    hideWelcomeButton();
+                }
                 
-                scaleDown();
+                chainTweens([
+                    () => tweenScale(button, new THREE.Vector3(originalScale * 0.9, originalScale * 0.9, 1), { duration: 0.05 }),
+                    () => tweenScale(button, new THREE.Vector3(originalScale, originalScale, 1), { duration: 0.05 })
+                ]).then(() => {
+                    if (timeline) timeline.pulsing = true;
+                    
+                    // Call the button's click handler after the visual feedback
+                    button.userData.onClick();
+                });
                 break;
             }
             
@@ -0,0 +1,81 @@
+// Materials - builds each actor's look from the texture sets that ship with it
+//
+// A texture folder holds two looks:
+//   Pbr/     texture_diffuse.png, texture_normal.png and texture_pbr.png, with
+//            roughness in green and metalness in blue (the glTF packing; the
+//            same data as texture_roughness.png and texture_metallic.png)
+//   Shaded/  shaded.png, colour with the lighting already baked in
+// Pbr is lit by the scene; Shaded is drawn as it is.
+
+const materialLooks = ['Pbr', 'Shaded'];
+let currentMaterialLook = 'Pbr';
+
+const _textureLoader = new THREE.TextureLoader(loadingManager);
+const _textureCache = {};
+
+// Load a texture once and share it; colour textures are sRGB, data textures linear
+function loadLookTexture(url, isColor) {
+    if (!_textureCache[url]) {
+        const texture = _textureLoader.load(
+            url,
+            undefined,
+            undefined,
+            error => {
+                console.error(`Couldn't load texture ${url}`, error);
+                showErrorToast(`Couldn't load texture ${url.split('/').pop()}`);
+            }
+        );
+        texture.encoding = isColor ? THREE.sRGBEncoding : THREE.LinearEncoding;
+        texture.anisotropy = renderer ? renderer.capabilities.getMaxAnisotropy() : 1;
+        _textureCache[url] = texture;
+    }
+    return _textureCache[url];
+}
+
+// Build the material for one look from a texture folder
+function createLookMaterial(folder, look) {
+    if (look === 'Shaded') {
+        return new THREE.MeshBasicMaterial({
+            map: loadLookTexture(`${folder}/Shaded/shaded.png`, true)
+        });
+    }
+
+    const packed = loadLookTexture(`${folder}/Pbr/texture_pbr.png`, false);
+    return new THREE.MeshStandardMaterial({
+        map: loadLookTexture(`${folder}/Pbr/texture_diffuse.png`, true),
+        normalMap: loadLookTexture(`${folder}/Pbr/texture_normal.png`, false),
+        roughnessMap: packed,
+        metalnessMap: packed,
+        roughness: 1, // The maps carry the actual values
+        metalness: 1
+    });
+}
+
+// Dress an actor in one of its looks (actors without a texture folder, and
+// stand-ins built because the model failed to load, keep their own materials)
+function applyMaterialLook(actor, look) {
+    const folder = actor.definition.textures;
+    if (!folder || actor.isFallback) return;
+
+    actor.looks = actor.looks || {};
+    if (!actor.looks[look]) {
+        actor.looks[look] = createLookMaterial(folder, look);
+    }
+
+    const material = actor.looks[look];
+    actor.object.traverse(node => {
+        if (node.isMesh) node.material = material;
+    });
+}
+
+// Switch every actor to a look, or to the next one if none is given
+function setMaterialLook(look) {
+    currentMaterialLook = look || materialLooks[(materialLooks.indexOf(currentMaterialLook) + 1) % materialLooks.length];
+
+    Object.keys(actorRegistry).forEach(id => {
+        applyMaterialLook(actorRegistry[id], currentMaterialLook);
+    });
+
+    console.log(`Material look: ${currentMaterialLook}`);
+    return currentMaterialLook;
+}
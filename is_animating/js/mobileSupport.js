@@ -0,0 +1,35 @@
+// Mobile support - touch screens and portrait layouts
+//
+// Phones and tablets start on the medium quality preset so they hold their
+// frame rate (see quality.js). In portrait the camera's field of view
+// widens so the pitch still fits across the screen.
+// Touch input mostly comes for free: OrbitControls orbits with one finger, a
+// tap arrives as a click, and a swipe from the ball shoots (see penaltyAim.js).
+
+const layoutSettings = {
+    maxFov: 100 // Widest vertical field of view in portrait
+};
+
+// Touch devices, going by the main pointer (a touchscreen laptop used with a mouse is a desktop)
+function isMobileDevice() {
+    return window.matchMedia('(pointer: coarse)').matches;
+}
+
+// Size the camera and renderer to the screen
+// Narrower than square, the field of view widens to keep the view as wide as a square screen's
+function updateScreenLayout(camera, renderer, baseFov) {
+    const aspect = window.innerWidth / window.innerHeight;
+    let fov = baseFov;
+
+    if (aspect < 1) {
+        const halfHeight = Math.tan(THREE.MathUtils.degToRad(baseFov / 2)) / aspect;
+        fov = Math.min(THREE.MathUtils.radToDeg(Math.atan(halfHeight)) * 2, layoutSettings.maxFov);
+    }
+
+    camera.fov = fov;
+    camera.aspect = aspect;
+    camera.updateProjectionMatrix();
+
+    renderer.setPixelRatio(getQualityPixelRatio());
+    renderer.setSize(window.innerWidth, window.innerHeight);
+}
@@ -0,0 +1,290 @@
+// Penalty aiming - drag from the ball to aim, release to shoot
+//
+// Dragging across the floor sets the direction and power of the shot; the
+// mouse wheel (or the up/down arrow keys) raises and lowers the loft while
+// aiming. A predicted flight path shows where the ball will go. On a touch
+// screen the same drag is a swipe from the ball, which can start further
+// from it, and a second finger cancels the shot so it can pinch or orbit.
+// Touch screens also get loft buttons at the side of the screen, which can
+// be tapped before a swipe or with a second finger during one.
+
+// Aiming limits
+const aimSettings = {
+    maxDragDistance: 4,   // Floor distance for a full-power shot
+    minPower: 5,
+    maxPower: 16,
+    minLoft: 0.05,
+    maxLoft: 0.8,
+    loftStep: 0.05,
+    defaultLoft: 0.35,
+    maxYaw: 0.6,          // Widest angle away from straight at the goal
+    pickRadius: 0.6,      // How close to the ball a drag has to start
+    touchPickRadius: 1.2, // The same for a finger
+    previewTime: 1.5      // Seconds of flight shown by the indicator
+};
+
+// Current aim
+const aimState = {
+    aiming: false,
+    shot: null,
+    loft: aimSettings.defaultLoft,
+    groundPoint: new THREE.Vector3()
+};
+
+// Indicator objects
+let aimPathLine, aimPowerRing;
+
+// On-screen loft buttons for touch screens
+let loftControl, loftLabel;
+
+const _aimRaycaster = new THREE.Raycaster();
+const _aimPointer = new THREE.Vector2();
+const _groundPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+
+// Set up the aim indicator and input listeners
+function initPenaltyAim() {
+    // Predicted flight path
+    const pathGeometry = new THREE.BufferGeometry();
+    pathGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(300 * 3), 3));
+    aimPathLine = new THREE.Line(pathGeometry, new THREE.LineDashedMaterial({
+        color: 0xffffff,
+        dashSize: 0.15,
+        gapSize: 0.1,
+        transparent: true,
+        depthTest: false
+    }));
+    aimPathLine.name = 'aimPath';
+    aimPathLine.visible = false;
+    aimPathLine.frustumCulled = false;
+    aimPathLine.renderOrder = 10;
+    scene.add(aimPathLine);
+
+    // Ring under the ball that grows and reddens with power
+    aimPowerRing = new THREE.Mesh(
+        new THREE.RingGeometry(0.85, 1, 48),
+        new THREE.MeshBasicMaterial({ color: 0x4CAF50, transparent: true, opacity: 0.8, side: THREE.DoubleSide, depthWrite: false })
+    );
+    aimPowerRing.name = 'aimPowerRing';
+    aimPowerRing.rotation.x = -Math.PI / 2;
+    aimPowerRing.visible = false;
+    scene.add(aimPowerRing);
+
+    // Capture phase so we can take the drag before OrbitControls starts rotating
+    window.addEventListener('pointerdown', onAimPointerDown, true);
+    window.addEventListener('pointermove', onAimPointerMove);
+    window.addEventListener('pointerup', onAimPointerUp);
+    window.addEventListener('pointercancel', cancelAim);
+    window.addEventListener('wheel', onAimWheel, { passive: false });
+
+    // Fingers have no wheel or arrow keys
+    if (isMobileDevice()) createLoftControl();
+
+    console.log("Penalty aiming ready (drag from the ball to shoot)");
+}
+
+// Project a pointer event onto the floor
+function pointerToGround(event, target) {
+    _aimPointer.x = (event.clientX / window.innerWidth) * 2 - 1;
+    _aimPointer.y = -(event.clientY / window.innerHeight) * 2 + 1;
+    _aimRaycaster.setFromCamera(_aimPointer, camera);
+    return _aimRaycaster.ray.intersectPlane(_groundPlane, target);
+}
+
+// Start aiming when a drag begins on or right next to the ball
+function onAimPointerDown(event) {
+    // The loft buttons work alongside a swipe
+    if (loftControl && loftControl.contains(event.target)) return;
+
+    // A second finger while swiping calls the shot off
+    if (!event.isPrimary) {
+        if (aimState.aiming) cancelAim();
+        return;
+    }
+
+    if (!sceneReady || !ball || !ball.visible || actionSequenceRunning || ballAnimating || replayState.playing) return;
+    if (event.button !== undefined && event.button !== 0) return;
+
+    const groundPoint = pointerToGround(event, aimState.groundPoint);
+    const onBall = _aimRaycaster.intersectObject(ball, true).length > 0;
+    const pickRadius = event.pointerType === 'touch' ? aimSettings.touchPickRadius : aimSettings.pickRadius;
+    const nearBall = groundPoint &&
+        Math.hypot(groundPoint.x - ball.position.x, groundPoint.z - ball.position.z) < pickRadius;
+
+    if (!onBall && !nearBall) return;
+
+    aimState.aiming = true;
+    aimState.shot = null;
+    controls.enabled = false;
+
+    aimPathLine.visible = true;
+    aimPowerRing.visible = true;
+    aimPowerRing.position.set(ball.position.x, 0.01, ball.position.z);
+
+    updateAim(event);
+}
+
+// Update the aim while dragging
+function onAimPointerMove(event) {
+    if (!aimState.aiming || !event.isPrimary) return;
+    updateAim(event);
+}
+
+// Shoot on release
+function onAimPointerUp(event) {
+    if (!aimState.aiming || !event.isPrimary) return;
+
+    const shot = aimState.shot;
+    cancelAim();
+
+    if (shot) {
+        console.log("Player shot:", shot);
+        hideWelcomeButton();
+        startActionSequence(null, shot);
+    }
+}
+
+// Mouse wheel raises or lowers the loft while aiming
+function onAimWheel(event) {
+    if (!aimState.aiming) return;
+    event.preventDefault();
+    adjustAimLoft(event.deltaY < 0 ? 1 : -1);
+}
+
+// Raise (+1) or lower (-1) the loft of the current aim
+function adjustAimLoft(direction) {
+    aimState.loft = THREE.MathUtils.clamp(
+        aimState.loft + direction * aimSettings.loftStep,
+        aimSettings.minLoft,
+        aimSettings.maxLoft
+    );
+
+    if (aimState.shot) {
+        aimState.shot.loft = aimState.loft;
+        updateAimIndicator();
+    }
+    updateLoftControl();
+}
+
+// Raise and lower buttons with the current loft between them
+function createLoftControl() {
+    loftControl = document.createElement('div');
+    loftControl.style.position = 'absolute';
+    loftControl.style.right = '15px';
+    loftControl.style.top = '50%';
+    loftControl.style.transform = 'translateY(-50%)';
+    loftControl.style.display = 'flex';
+    loftControl.style.flexDirection = 'column';
+    loftControl.style.alignItems = 'center';
+    loftControl.style.gap = '6px';
+    loftControl.style.padding = '8px';
+    loftControl.style.backgroundColor = 'rgba(33, 33, 33, 0.85)';
+    loftControl.style.color = '#e0e0e0';
+    loftControl.style.borderRadius = '8px';
+    loftControl.style.fontFamily = "'Segoe UI', Roboto, 'Helvetica Neue', sans-serif";
+    loftControl.style.fontSize = '13px';
+    loftControl.style.userSelect = 'none';
+    loftControl.style.touchAction = 'none';
+    loftControl.style.zIndex = '1000';
+
+    // Keep taps here from reaching the scene's billboards
+    loftControl.addEventListener('click', event => event.stopPropagation());
+
+    // Each button steps the loft as soon as it is touched
+    function addLoftButton(text, direction) {
+        const button = document.createElement('div');
+        button.textContent = text;
+        button.style.width = '44px';
+        button.style.height = '44px';
+        button.style.lineHeight = '44px';
+        button.style.textAlign = 'center';
+        button.style.fontSize = '20px';
+        button.style.borderRadius = '6px';
+        button.style.backgroundColor = 'rgba(255, 255, 255, 0.1)';
+        button.addEventListener('pointerdown', event => {
+            event.preventDefault();
+            adjustAimLoft(direction);
+        });
+        loftControl.appendChild(button);
+    }
+
+    addLoftButton('▲', 1);
+    loftLabel = document.createElement('div');
+    loftControl.appendChild(loftLabel);
+    addLoftButton('▼', -1);
+
+    document.body.appendChild(loftControl);
+    updateLoftControl();
+}
+
+// Show the loft as an angle above the floor
+function updateLoftControl() {
+    if (!loftLabel) return;
+    loftLabel.textContent = `Loft ${Math.round(THREE.MathUtils.radToDeg(aimState.loft))}°`;
+}
+
+// Stop aiming without shooting
+function cancelAim() {
+    aimState.aiming = false;
+    aimState.shot = null;
+    controls.enabled = true;
+
+    if (aimPathLine) aimPathLine.visible = false;
+    if (aimPowerRing) aimPowerRing.visible = false;
+}
+
+// Turn the drag into shot parameters
+function updateAim(event) {
+    if (!pointerToGround(event, aimState.groundPoint)) return;
+
+    const dx = aimState.groundPoint.x - ball.position.x;
+    const dz = aimState.groundPoint.z - ball.position.z;
+    const dragDistance = Math.hypot(dx, dz);
+    const goalDirection = goalFrame ? goalFrame.direction : 1;
+
+    // Too short a drag, or dragged away from the goal, means no shot
+    if (dragDistance < 0.2 || dz * goalDirection <= 0) {
+        aimState.shot = null;
+        aimPathLine.visible = false;
+        aimPowerRing.scale.setScalar(0.3);
+        return;
+    }
+
+    const strength = Math.min(dragDistance / aimSettings.maxDragDistance, 1);
+    const yaw = THREE.MathUtils.clamp(Math.atan2(dx * goalDirection, dz * goalDirection), -aimSettings.maxYaw, aimSettings.maxYaw);
+
+    aimState.shot = {
+        power: aimSettings.minPower + (aimSettings.maxPower - aimSettings.minPower) * strength,
+        loft: aimState.loft,
+        yaw: yaw,
+        topspin: 0,
+        curl: 0
+    };
+
+    updateAimIndicator();
+}
+
+// Draw the predicted flight path and power ring for the current aim
+function updateAimIndicator() {
+    const shot = aimState.shot;
+    const strength = (shot.power - aimSettings.minPower) / (aimSettings.maxPower - aimSettings.minPower);
+    const launch = createShotVelocity(shot);
+    const start = new THREE.Vector3(ball.position.x, ballState.radius, ball.position.z);
+    const samples = predictBallPath(start, launch.velocity, launch.spin, aimSettings.previewTime, 1 / 60, true);
+
+    // Fill the line with the predicted positions
+    const positions = aimPathLine.geometry.attributes.position;
+    const count = Math.min(samples.length, positions.count);
+    for (let i = 0; i < count; i++) {
+        positions.setXYZ(i, samples[i].position.x, samples[i].position.y, samples[i].position.z);
+    }
+    positions.needsUpdate = true;
+    aimPathLine.geometry.setDrawRange(0, count);
+    aimPathLine.computeLineDistances();
+    aimPathLine.visible = true;
+
+    // Green for a gentle shot through to red for a full-power one
+    const color = new THREE.Color(0x4CAF50).lerp(new THREE.Color(0xF44336), strength);
+    aimPathLine.material.color.copy(color);
+    aimPowerRing.material.color.copy(color);
+    aimPowerRing.scale.setScalar(0.3 + strength * 0.5);
+}
@@ -0,0 +1,208 @@
+// Placeholder characters - simple rigged stand-ins for characters whose model fails to load
+//
+// The rig uses the same mixamorig bone names as the real characters, so the
+// keeper's hit spheres and root motion work on it. Each body part is a
+// plain mesh riding on its bone. Clips are built from keyframes for every
+// role in the character's animation manifest, named the way the manifest
+// expects, so sequences and hotkeys play them like the real thing.
+
+// Rest pose: bone name -> [parent, x, y, z] in metres
+const placeholderSkeleton = {
+    mixamorigHips: [null, 0, 0.55, 0],
+    mixamorigSpine2: ['mixamorigHips', 0, 0.3, 0],
+    mixamorigHead: ['mixamorigSpine2', 0, 0.32, 0],
+    mixamorigLeftArm: ['mixamorigSpine2', 0.26, 0.05, 0],
+    mixamorigLeftForeArm: ['mixamorigLeftArm', 0, -0.18, 0],
+    mixamorigLeftHand: ['mixamorigLeftForeArm', 0, -0.16, 0],
+    mixamorigRightArm: ['mixamorigSpine2', -0.26, 0.05, 0],
+    mixamorigRightForeArm: ['mixamorigRightArm', 0, -0.18, 0],
+    mixamorigRightHand: ['mixamorigRightForeArm', 0, -0.16, 0],
+    mixamorigLeftUpLeg: ['mixamorigHips', 0.12, -0.02, 0],
+    mixamorigLeftLeg: ['mixamorigLeftUpLeg', 0, -0.24, 0],
+    mixamorigLeftFoot: ['mixamorigLeftLeg', 0, -0.24, 0],
+    mixamorigRightUpLeg: ['mixamorigHips', -0.12, -0.02, 0],
+    mixamorigRightLeg: ['mixamorigRightUpLeg', 0, -0.24, 0],
+    mixamorigRightFoot: ['mixamorigRightLeg', 0, -0.24, 0]
+};
+
+// Keyframes for each animation role
+// Each builder returns { duration, tracks: { boneName: { times, rotation: [[x,y,z] degrees], position: [[x,y,z]] } } }
+// Positions are offsets from the bone's rest position.
+const placeholderClipBuilders = {
+    idle: () => ({
+        duration: 2,
+        tracks: {
+            mixamorigHips: { times: [0, 1, 2], position: [[0, 0, 0], [0, -0.015, 0], [0, 0, 0]] },
+            mixamorigSpine2: { times: [0, 1, 2], rotation: [[0, 0, 0], [4, 0, 0], [0, 0, 0]] }
+        }
+    }),
+    run: () => ({
+        duration: 0.6,
+        tracks: {
+            mixamorigHips: { times: [0, 0.15, 0.3, 0.45, 0.6], position: [[0, 0, 0], [0, 0.04, 0], [0, 0, 0], [0, 0.04, 0], [0, 0, 0]] },
+            mixamorigSpine2: { times: [0, 0.6], rotation: [[12, 0, 0], [12, 0, 0]] },
+            mixamorigLeftUpLeg: { times: [0, 0.3, 0.6], rotation: [[-35, 0, 0], [35, 0, 0], [-35, 0, 0]] },
+            mixamorigRightUpLeg: { times: [0, 0.3, 0.6], rotation: [[35, 0, 0], [-35, 0, 0], [35, 0, 0]] },
+            mixamorigLeftArm: { times: [0, 0.3, 0.6], rotation: [[30, 0, 10], [-30, 0, 10], [30, 0, 10]] },
+            mixamorigRightArm: { times: [0, 0.3, 0.6], rotation: [[-30, 0, -10], [30, 0, -10], [-30, 0, -10]] }
+        }
+    }),
+    kick: () => ({
+        duration: 1,
+        tracks: {
+            mixamorigHips: { times: [0, 0.35, 0.55, 1], position: [[0, 0, 0], [0, 0, 0.2], [0, 0.03, 0.4], [0, 0, 0.5]] },
+            mixamorigRightUpLeg: { times: [0, 0.35, 0.55, 1], rotation: [[0, 0, 0], [45, 0, 0], [-75, 0, 0], [0, 0, 0]] },
+            mixamorigLeftArm: { times: [0, 0.35, 0.55, 1], rotation: [[0, 0, 20], [-30, 0, 40], [30, 0, 40], [0, 0, 10]] },
+            mixamorigRightArm: { times: [0, 0.35, 0.55, 1], rotation: [[0, 0, -20], [30, 0, -40], [-30, 0, -40], [0, 0, -10]] }
+        }
+    }),
+    save: () => ({
+        // Dives to the keeper's own +x, at full stretch about a third of the way in
+        duration: 1.2,
+        tracks: {
+            mixamorigHips: { times: [0, 0.15, 0.42, 1.2], position: [[0, 0, 0], [0, -0.1, 0], [0.9, -0.15, 0], [1.0, -0.4, 0]], rotation: [[0, 0, 0], [0, 0, -10], [0, 0, -80], [0, 0, -90]] },
+            mixamorigLeftArm: { times: [0, 0.42, 1.2], rotation: [[0, 0, 0], [0, 0, 160], [0, 0, 160]] },
+            mixamorigRightArm: { times: [0, 0.42, 1.2], rotation: [[0, 0, 0], [0, 0, -160], [0, 0, -160]] },
+            mixamorigLeftUpLeg: { times: [0, 0.42, 1.2], rotation: [[0, 0, 0], [0, 0, 20], [0, 0, 10]] }
+        }
+    }),
+    standUp: () => ({
+        duration: 1.2,
+        tracks: {
+            mixamorigHips: { times: [0, 0.6, 1.2], position: [[0, -0.4, 0], [0, -0.25, 0], [0, 0, 0]], rotation: [[-80, 0, 0], [-30, 0, 0], [0, 0, 0]] },
+            mixamorigLeftUpLeg: { times: [0, 0.6, 1.2], rotation: [[-60, 0, 0], [-70, 0, 0], [0, 0, 0]] },
+            mixamorigRightUpLeg: { times: [0, 0.6, 1.2], rotation: [[-60, 0, 0], [-70, 0, 0], [0, 0, 0]] },
+            mixamorigLeftLeg: { times: [0, 0.6, 1.2], rotation: [[60, 0, 0], [80, 0, 0], [0, 0, 0]] },
+            mixamorigRightLeg: { times: [0, 0.6, 1.2], rotation: [[60, 0, 0], [80, 0, 0], [0, 0, 0]] }
+        }
+    }),
+    flip: () => ({
+        duration: 1,
+        tracks: {
+            mixamorigHips: {
+                times: [0, 0.2, 0.4, 0.6, 0.8, 1],
+                position: [[0, 0, 0], [0, 0.4, 0], [0, 0.75, 0], [0, 0.75, 0], [0, 0.4, 0], [0, 0, 0]],
+                rotation: [[0, 0, 0], [0, 0, 0], [-120, 0, 0], [-240, 0, 0], [-360, 0, 0], [-360, 0, 0]]
+            },
+            mixamorigLeftUpLeg: { times: [0, 0.3, 0.8, 1], rotation: [[0, 0, 0], [-90, 0, 0], [-90, 0, 0], [0, 0, 0]] },
+            mixamorigRightUpLeg: { times: [0, 0.3, 0.8, 1], rotation: [[0, 0, 0], [-90, 0, 0], [-90, 0, 0], [0, 0, 0]] }
+        }
+    }),
+    dance: () => ({
+        duration: 1,
+        tracks: {
+            mixamorigHips: { times: [0, 0.25, 0.5, 0.75, 1], position: [[0, 0, 0], [0, -0.05, 0], [0, 0, 0], [0, -0.05, 0], [0, 0, 0]], rotation: [[0, -20, 0], [0, 0, 0], [0, 20, 0], [0, 0, 0], [0, -20, 0]] },
+            mixamorigLeftArm: { times: [0, 0.5, 1], rotation: [[0, 0, 140], [0, 0, 170], [0, 0, 140]] },
+            mixamorigRightArm: { times: [0, 0.5, 1], rotation: [[0, 0, -170], [0, 0, -140], [0, 0, -170]] },
+            mixamorigHead: { times: [0, 0.5, 1], rotation: [[0, 0, 10], [0, 0, -10], [0, 0, 10]] }
+        }
+    })
+};
+
+// Build a placeholder for a character definition; returns the root object, with its clips in .animations
+function createPlaceholderCharacter(definition) {
+    const look = definition.placeholder || {};
+    const bodyMaterial = new THREE.MeshStandardMaterial({ color: look.color || 0xBDBDBD, roughness: 0.7 });
+    const featureMaterial = new THREE.MeshStandardMaterial({ color: look.featureColor || 0x757575, roughness: 0.6 });
+    const eyeMaterial = new THREE.MeshStandardMaterial({ color: 0x212121, roughness: 0.3 });
+
+    const root = new THREE.Group();
+    root.name = `${definition.name} (placeholder)`;
+
+    // Placed like the model, but built in metres so the model's scale is left out
+    if (definition.position) root.position.fromArray(definition.position);
+    if (definition.rotation) root.rotation.fromArray(definition.rotation);
+
+    // Bones in their rest pose
+    const bones = {};
+    Object.keys(placeholderSkeleton).forEach(name => {
+        const [parent, x, y, z] = placeholderSkeleton[name];
+        const bone = new THREE.Bone();
+        bone.name = name;
+        bone.position.set(x, y, z);
+        (parent ? bones[parent] : root).add(bone);
+        bones[name] = bone;
+    });
+
+    // Hang a mesh on a bone
+    function addPart(boneName, geometry, material, x, y, z, scale) {
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.position.set(x, y, z);
+        if (scale) mesh.scale.set(scale[0], scale[1], scale[2]);
+        mesh.castShadow = true;
+        mesh.receiveShadow = true;
+        bones[boneName].add(mesh);
+        return mesh;
+    }
+
+    // Body and head
+    addPart('mixamorigHips', new THREE.SphereGeometry(0.28, 24, 16), bodyMaterial, 0, 0.2, 0, [1, 1.15, 0.9]);
+    addPart('mixamorigHead', new THREE.SphereGeometry(0.2, 24, 16), bodyMaterial, 0, 0.1, 0);
+    addPart('mixamorigHead', new THREE.SphereGeometry(0.025, 8, 8), eyeMaterial, 0.08, 0.16, 0.17);
+    addPart('mixamorigHead', new THREE.SphereGeometry(0.025, 8, 8), eyeMaterial, -0.08, 0.16, 0.17);
+
+    // Snout or beak
+    if (look.feature === 'beak') {
+        addPart('mixamorigHead', new THREE.BoxGeometry(0.16, 0.05, 0.16), featureMaterial, 0, 0.06, 0.24);
+    } else {
+        addPart('mixamorigHead', new THREE.CylinderGeometry(0.07, 0.07, 0.08, 16), featureMaterial, 0, 0.07, 0.2).rotation.x = Math.PI / 2;
+    }
+
+    // Arms and legs
+    const limb = new THREE.CylinderGeometry(0.045, 0.045, 1, 12);
+    ['Left', 'Right'].forEach(side => {
+        addPart(`mixamorig${side}Arm`, limb, bodyMaterial, 0, -0.09, 0, [1, 0.18, 1]);
+        addPart(`mixamorig${side}ForeArm`, limb, bodyMaterial, 0, -0.08, 0, [1, 0.16, 1]);
+        addPart(`mixamorig${side}Hand`, new THREE.SphereGeometry(0.055, 12, 8), featureMaterial, 0, -0.02, 0);
+        addPart(`mixamorig${side}UpLeg`, limb, bodyMaterial, 0, -0.12, 0, [1.3, 0.24, 1.3]);
+        addPart(`mixamorig${side}Leg`, limb, bodyMaterial, 0, -0.12, 0, [1.2, 0.24, 1.2]);
+        addPart(`mixamorig${side}Foot`, new THREE.BoxGeometry(0.1, 0.08, 0.18), featureMaterial, 0, -0.01, 0.04);
+    });
+
+    // One clip per clip name in the manifest (two roles can share a clip)
+    const manifest = definition.animations || { idle: 'idle' };
+    const clips = [];
+    Object.keys(manifest).forEach(role => {
+        const name = Array.isArray(manifest[role]) ? manifest[role][0] : manifest[role];
+        if (clips.some(clip => clip.name === name)) return;
+
+        const builder = placeholderClipBuilders[role] || placeholderClipBuilders.idle;
+        clips.push(createPlaceholderClip(name, builder()));
+    });
+
+    root.animations = clips;
+
+    console.log(`Built a placeholder for ${definition.name} with clips:`, clips.map(clip => clip.name));
+
+    return root;
+}
+
+// Turn a builder's keyframes into an AnimationClip
+function createPlaceholderClip(name, keyframes) {
+    const tracks = [];
+    const euler = new THREE.Euler();
+    const quaternion = new THREE.Quaternion();
+
+    Object.keys(keyframes.tracks).forEach(boneName => {
+        const keys = keyframes.tracks[boneName];
+        const rest = placeholderSkeleton[boneName];
+
+        if (keys.position) {
+            const values = [];
+            keys.position.forEach(p => values.push(rest[1] + p[0], rest[2] + p[1], rest[3] + p[2]));
+            tracks.push(new THREE.VectorKeyframeTrack(`${boneName}.position`, keys.times, values));
+        }
+
+        if (keys.rotation) {
+            const values = [];
+            keys.rotation.forEach(r => {
+                euler.set(THREE.MathUtils.degToRad(r[0]), THREE.MathUtils.degToRad(r[1]), THREE.MathUtils.degToRad(r[2]));
+                quaternion.setFromEuler(euler);
+                values.push(quaternion.x, quaternion.y, quaternion.z, quaternion.w);
+            });
+            tracks.push(new THREE.QuaternionKeyframeTrack(`${boneName}.quaternion`, keys.times, values));
+        }
+    });
+
+    return new THREE.AnimationClip(name, keyframes.duration, tracks);
+}
@@ -0,0 +1,234 @@
+// Quality - low/medium/high/ultra render presets, stepped automatically by frame time
+//
+// Each preset sets the pixel ratio cap, shadow map size and filtering, the
+// floor texture's size, how many clouds are shown and antialiasing. The
+// governor watches how long frames take: a sustained slow patch drops a
+// level, and a long smooth run climbs back up (but not straight back to a
+// level it just had to leave). Pressing G picks a preset by hand, which
+// switches the governor off until it comes back round to "auto". The choice
+// is remembered, and antialiasing can only change when the page loads.
+
+const qualityLevels = ['low', 'medium', 'high', 'ultra'];
+
+const qualityPresets = {
+    low: {
+        maxPixelRatio: 1,
+        shadowMapSize: 512,
+        shadowType: THREE.PCFShadowMap,
+        floorTextureSize: 512,
+        cloudCount: 8,
+        antialias: false
+    },
+    medium: {
+        maxPixelRatio: 1.5,
+        shadowMapSize: 1024,
+        shadowType: THREE.PCFShadowMap,
+        floorTextureSize: 1024,
+        cloudCount: 16,
+        antialias: false
+    },
+    high: {
+        maxPixelRatio: 2,
+        shadowMapSize: 2048,
+        shadowType: THREE.PCFSoftShadowMap,
+        floorTextureSize: 1024,
+        cloudCount: 24,
+        antialias: true
+    },
+    ultra: {
+        maxPixelRatio: Infinity,
+        shadowMapSize: 4096,
+        shadowType: THREE.PCFSoftShadowMap,
+        floorTextureSize: 2048,
+        cloudCount: 24,
+        antialias: true
+    }
+};
+
+// Frame time limits for the governor
+const qualityGovernorSettings = {
+    slowFrameTime: 1000 / 45,  // Average frame time (ms) that counts as struggling
+    fastFrameTime: 1000 / 57,  // Average frame time (ms) that leaves room to spare
+    slowWindow: 2,             // Seconds of struggling before dropping a level
+    fastWindow: 8,             // Seconds of spare room before climbing a level
+    retryDelay: 60,            // Seconds before climbing back to a level that was dropped
+    maxFrameTime: 250,         // Longer frames (hidden tab, a hitch) are ignored
+    storageKey: 'pigBallDuckQuality'
+};
+
+// Current level and what the governor has seen
+const qualityState = {
+    level: 'high',
+    auto: true,
+    windowTime: 0,     // Seconds of frames in the current measuring window
+    windowFrames: 0,
+    slowTime: 0,       // Seconds spent struggling in a row
+    fastTime: 0,       // Seconds with room to spare in a row
+    droppedFrom: {}    // level -> seconds since the governor last dropped from it
+};
+
+// Pick the starting level: the saved choice, else medium on phones and tablets and high elsewhere
+function initQuality() {
+    let saved = null;
+    try {
+        saved = localStorage.getItem(qualityGovernorSettings.storageKey);
+    } catch (error) {
+        // Storage can be blocked; just don't remember the choice
+    }
+
+    if (saved && qualityPresets[saved]) {
+        qualityState.level = saved;
+        qualityState.auto = false;
+    } else {
+        qualityState.level = isMobileDevice() ? 'medium' : 'high';
+        qualityState.auto = true;
+    }
+
+    console.log(`Quality: ${qualityState.level}${qualityState.auto ? ' (auto)' : ''}`);
+}
+
+// Settings for the current level
+function getQualityPreset() {
+    return qualityPresets[qualityState.level];
+}
+
+// Device pixel ratio, capped by the current level
+function getQualityPixelRatio() {
+    return Math.min(window.devicePixelRatio || 1, getQualityPreset().maxPixelRatio);
+}
+
+// Switch to a level and apply it to the running scene
+function setQualityLevel(level) {
+    if (!qualityPresets[level] || level === qualityState.level) return;
+
+    qualityState.level = level;
+    qualityState.slowTime = 0;
+    qualityState.fastTime = 0;
+    applyQualityPreset();
+
+    console.log(`Quality: ${level}${qualityState.auto ? ' (auto)' : ''}`);
+}
+
+// Push the current preset's settings into the renderer and scene
+function applyQualityPreset() {
+    const preset = getQualityPreset();
+
+    // Pixel ratio
+    renderer.setPixelRatio(getQualityPixelRatio());
+    renderer.setSize(window.innerWidth, window.innerHeight);
+    applyCaptureSize(); // A fixed-size recording keeps its size
+
+    // Shadows: resize the map (it's rebuilt on the next render) and refilter
+    if (renderer.shadowMap.type !== preset.shadowType) {
+        renderer.shadowMap.type = preset.shadowType;
+        scene.traverse(node => {
+            if (node.isMesh) {
+                const materials = Array.isArray(node.material) ? node.material : [node.material];
+                materials.forEach(material => material.needsUpdate = true);
+            }
+        });
+    }
+
+    scene.traverse(node => {
+        if (node.isLight && node.castShadow && node.shadow.mapSize.x !== preset.shadowMapSize) {
+            node.shadow.mapSize.set(preset.shadowMapSize, preset.shadowMapSize);
+            if (node.shadow.map) {
+                node.shadow.map.dispose();
+                node.shadow.map = null;
+            }
+        }
+    });
+
+    // Floor texture and clouds
+    const floor = scene.getObjectByName('floor');
+    if (floor && floor.material.map.image.width !== preset.floorTextureSize) {
+        createCarpetFloor();
+    }
+    showClouds(preset.cloudCount);
+
+    if (preset.antialias !== renderer.getContextAttributes().antialias) {
+        console.log(`Antialiasing ${preset.antialias ? 'on' : 'off'} takes effect when the page reloads`);
+    }
+}
+
+// Step through auto and each preset by hand (G key)
+function cycleQualityLevel() {
+    let level;
+
+    if (qualityState.auto) {
+        qualityState.auto = false;
+        level = qualityLevels[0];
+    } else {
+        const next = qualityLevels.indexOf(qualityState.level) + 1;
+        if (next < qualityLevels.length) {
+            level = qualityLevels[next];
+        } else {
+            qualityState.auto = true;
+            level = qualityState.level;
+        }
+    }
+
+    // Remember a manual choice for next time (auto needs nothing saved)
+    try {
+        if (qualityState.auto) {
+            localStorage.removeItem(qualityGovernorSettings.storageKey);
+        } else {
+            localStorage.setItem(qualityGovernorSettings.storageKey, level);
+        }
+    } catch (error) {
+        // Storage can be blocked; the choice still holds for this visit
+    }
+
+    if (level === qualityState.level) {
+        console.log(`Quality: ${level}${qualityState.auto ? ' (auto)' : ''}`);
+    } else {
+        setQualityLevel(level);
+    }
+
+    return qualityState.auto ? 'auto' : level;
+}
+
+// Measure this frame and step the level down or up if needed (delta in seconds)
+function updateQualityGovernor(delta) {
+    const settings = qualityGovernorSettings;
+    if (!qualityState.auto || delta <= 0 || delta * 1000 > settings.maxFrameTime) return;
+
+    Object.keys(qualityState.droppedFrom).forEach(level => {
+        qualityState.droppedFrom[level] += delta;
+    });
+
+    // Average the frame time over about half a second
+    qualityState.windowTime += delta;
+    qualityState.windowFrames++;
+    if (qualityState.windowTime < 0.5) return;
+
+    const frameTime = qualityState.windowTime * 1000 / qualityState.windowFrames;
+    const windowTime = qualityState.windowTime;
+    qualityState.windowTime = 0;
+    qualityState.windowFrames = 0;
+
+    qualityState.slowTime = frameTime > settings.slowFrameTime ? qualityState.slowTime + windowTime : 0;
+    qualityState.fastTime = frameTime < settings.fastFrameTime ? qualityState.fastTime + windowTime : 0;
+
+    const index = qualityLevels.indexOf(qualityState.level);
+
+    // Struggling: drop a level
+    if (qualityState.slowTime >= settings.slowWindow && index > 0) {
+        qualityState.droppedFrom[qualityState.level] = 0;
+        setQualityLevel(qualityLevels[index - 1]);
+        return;
+    }
+
+    // Plenty of room: climb a level, unless it's one we recently had to leave
+    if (qualityState.fastTime >= settings.fastWindow && index < qualityLevels.length - 1) {
+        const up = qualityLevels[index + 1];
+        const sinceDrop = qualityState.droppedFrom[up];
+
+        if (sinceDrop === undefined || sinceDrop >= settings.retryDelay) {
+            delete qualityState.droppedFrom[up];
+            setQualityLevel(up);
+        } else {
+            qualityState.fastTime = 0;
+        }
+    }
+}
@@ -0,0 +1,72 @@
+// Random - seeded random numbers, so a seed reproduces the same scene and outcomes
+//
+// Everything that wants randomness takes a named stream from here instead of
+// calling Math.random. Each stream is seeded from the scene seed and its
+// name, so drawing more from one (say the floor, rebuilt when the quality
+// changes) never shifts another (say the keeper's guesses). The seed comes
+// from ?seed=<number> in the URL, or is picked at random and logged so a run
+// can be repeated. Resetting the scene starts the streams over, so the same
+// input after a reset plays out just like the first time (a shootout starts
+// them over at its first kick, then lets them run on from kick to kick).
+
+const randomSettings = {
+    seed: 0
+};
+
+// Streams handed out so far: name -> function returning 0 <= x < 1
+const randomStreams = {};
+
+// Mulberry32: a small, fast generator with a 32-bit state
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// FNV-1a hash of a stream name
+function hashRandomName(name) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < name.length; i++) {
+        hash = Math.imul(hash ^ name.charCodeAt(i), 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// A stream that carries on from wherever it was last used
+function getRandomStream(name) {
+    if (!randomStreams[name]) randomStreams[name] = createRandomStream(name);
+    return randomStreams[name];
+}
+
+// A stream starting from the beginning, for things rebuilt from scratch
+function createRandomStream(name) {
+    return createRandom(randomSettings.seed ^ hashRandomName(name));
+}
+
+// Start every stream over from the seed
+function restartRandomStreams() {
+    Object.keys(randomStreams).forEach(name => delete randomStreams[name]);
+}
+
+// Use a new seed and restart every stream
+function setRandomSeed(seed) {
+    randomSettings.seed = seed >>> 0;
+    restartRandomStreams();
+}
+
+// Seed from the URL, or pick one and say how to repeat it
+(function() {
+    const param = new URLSearchParams(window.location.search).get('seed');
+    if (param !== null && /^\d+$/.test(param)) {
+        setRandomSeed(Number(param));
+        return;
+    }
+
+    setRandomSeed(Math.floor(Math.random() * 4294967296));
+    console.info(`Random seed: ${randomSettings.seed} (add ?seed=${randomSettings.seed} to the URL to repeat this run)`);
+})();
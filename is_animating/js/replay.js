@@ -0,0 +1,424 @@
+// Replay - records each action sequence and plays it back from other cameras
+//
+// While a sequence runs, every simulation step records each actor's
+// transform and visibility (the ball's flight included) and the clips its
+// mixer is playing, with their times and weights. Playback poses the actors
+// from the recording on mixers of its own while the live simulation is held
+// still, and puts everything back as it was when it ends. Recordings save
+// to and load from JSON files.
+//
+//   V      play / stop the replay
+//   C      next camera (behind the shooter, goal line, keeper close-up, free)
+//   - =    slower / faster
+//   J      save the replay to a file
+//   U      load a replay file and play it
+
+const replaySettings = {
+    maxDuration: 15,               // Seconds recorded per sequence
+    speeds: [0.1, 0.25, 0.5, 1, 2],
+    version: 1
+};
+
+// Replay cameras: each places the camera from the pose being played back
+const replayCameras = [
+    { name: 'Behind the shooter', place: placeBehindShooterCamera },
+    { name: 'Goal line', place: placeGoalLineCamera },
+    { name: 'Keeper close-up', place: placeKeeperCloseUpCamera },
+    { name: 'Free', place: null } // Orbit by hand
+];
+
+const replayState = {
+    recording: null,  // { version, seed, fixedStep, cast, actors, frames } being filled
+    last: null,       // Most recent finished (or loaded) recording
+    playing: false,
+    time: 0,          // Seconds into the playback
+    speed: 1,
+    cameraIndex: 0,
+    mixers: new Map(),  // actor id -> mixer used for playback
+    saved: null         // Scene state to put back afterwards
+};
+
+let replayIndicator;
+
+const _replayVector = new THREE.Vector3();
+const _replayQuaternion = new THREE.Quaternion();
+
+// Start recording a sequence (replaces any recording in progress)
+function startReplayRecording() {
+    stopReplayRecording();
+
+    replayState.recording = {
+        version: replaySettings.version,
+        seed: randomSettings.seed,
+        fixedStep: simulationSettings.fixedStep,
+        cast: Object.assign({}, currentCast),
+        actors: Object.keys(actorRegistry),
+        frames: []
+    };
+}
+
+// Finish the recording in progress, keeping it for playback
+function stopReplayRecording() {
+    const recording = replayState.recording;
+    if (!recording) return;
+
+    replayState.recording = null;
+    if (recording.frames.length > 1) {
+        replayState.last = recording;
+        console.log(`Replay recorded: ${(recording.frames.length * recording.fixedStep).toFixed(1)}s`);
+    }
+}
+
+// Record the scene after a simulation step
+function recordReplayFrame() {
+    const recording = replayState.recording;
+    if (!recording) return;
+
+    recording.frames.push({
+        actors: recording.actors.map(id => captureReplayActor(getActor(id)))
+    });
+
+    if (recording.frames.length * recording.fixedStep >= replaySettings.maxDuration) {
+        stopReplayRecording();
+    }
+}
+
+// One actor's pose: position, quaternion, scale, visibility and [clip, time, weight] per playing clip
+function captureReplayActor(actor) {
+    if (!actor) return null;
+
+    const object = actor.object;
+    const round = value => Math.round(value * 10000) / 10000;
+    const state = {
+        p: object.position.toArray().map(round),
+        q: object.quaternion.toArray().map(round),
+        s: object.scale.toArray().map(round),
+        v: object.visible,
+        a: []
+    };
+
+    if (actor.mixer) {
+        actor.clips.forEach(clip => {
+            const action = actor.mixer.existingAction(clip);
+            if (action && action.enabled && action.isScheduled() && action.getEffectiveWeight() > 0) {
+                state.a.push([clip.name, round(action.time), round(action.getEffectiveWeight())]);
+            }
+        });
+    }
+
+    return state;
+}
+
+// Play the last recording (from the start)
+function startReplay() {
+    stopReplayRecording();
+
+    const recording = replayState.last;
+    if (!recording) {
+        console.log("Nothing to replay yet");
+        return;
+    }
+
+    if (!replayState.playing) {
+        replayState.saved = saveReplaySceneState(recording);
+        replayState.playing = true;
+    }
+
+    replayState.time = 0;
+    controls.enabled = replayCameras[replayState.cameraIndex].place === null;
+    applyReplayTime(0);
+    updateReplayIndicator();
+
+    console.log(`Replay started (${recording.frames.length} frames)`);
+}
+
+// Stop playing and put the scene back
+function stopReplay() {
+    if (!replayState.playing) return;
+
+    replayState.playing = false;
+    restoreReplaySceneState(replayState.saved);
+    replayState.saved = null;
+    controls.enabled = true;
+    updateReplayIndicator();
+
+    console.log("Replay stopped");
+}
+
+function toggleReplay() {
+    if (replayState.playing) {
+        stopReplay();
+    } else {
+        startReplay();
+    }
+}
+
+// Move on to the next replay camera
+function cycleReplayCamera() {
+    replayState.cameraIndex = (replayState.cameraIndex + 1) % replayCameras.length;
+    controls.enabled = !replayState.playing || replayCameras[replayState.cameraIndex].place === null;
+    updateReplayIndicator();
+    console.log(`Replay camera: ${replayCameras[replayState.cameraIndex].name}`);
+}
+
+// Slower (-1) or faster (+1) playback
+function stepReplaySpeed(direction) {
+    const speeds = replaySettings.speeds;
+    const index = THREE.MathUtils.clamp(speeds.indexOf(replayState.speed) + direction, 0, speeds.length - 1);
+    replayState.speed = speeds[index];
+    updateReplayIndicator();
+    console.log(`Replay speed: ${replayState.speed}x`);
+}
+
+// Advance the playback (called instead of the simulation step while playing), looping at the end
+function updateReplayPlayback(delta) {
+    const recording = replayState.last;
+    const duration = (recording.frames.length - 1) * recording.fixedStep;
+
+    replayState.time += delta * replayState.speed;
+    if (replayState.time > duration) replayState.time = 0;
+
+    applyReplayTime(replayState.time);
+}
+
+// Pose the scene at a time in the recording, blending between the recorded frames either side
+function applyReplayTime(time) {
+    const recording = replayState.last;
+    const position = time / recording.fixedStep;
+    const index = Math.min(Math.floor(position), recording.frames.length - 1);
+    const from = recording.frames[index];
+    const to = recording.frames[Math.min(index + 1, recording.frames.length - 1)];
+    const blend = position - index;
+
+    recording.actors.forEach((id, i) => {
+        const actor = getActor(id);
+        const a = from.actors[i];
+        const b = to.actors[i] || a;
+        if (!actor || !a) return;
+
+        const object = actor.object;
+        object.position.fromArray(a.p).lerp(_replayVector.fromArray(b.p), blend);
+        object.quaternion.fromArray(a.q).slerp(_replayQuaternion.fromArray(b.q), blend);
+        object.scale.fromArray(a.s).lerp(_replayVector.fromArray(b.s), blend);
+        object.visible = a.v;
+
+        if (actor.mixer) poseReplayActor(actor, a, b, blend);
+    });
+
+    const replayCamera = replayCameras[replayState.cameraIndex];
+    if (replayCamera.place) replayCamera.place(recording);
+}
+
+// Pose an actor's skeleton from the recorded clips on its playback mixer
+function poseReplayActor(actor, from, to, blend) {
+    if (!replayState.mixers.has(actor.id)) {
+        replayState.mixers.set(actor.id, new THREE.AnimationMixer(actor.object));
+    }
+
+    const mixer = replayState.mixers.get(actor.id);
+    mixer.stopAllAction();
+
+    from.a.forEach(([name, time, weight]) => {
+        const clip = actor.clips.find(c => c.name === name);
+        if (!clip) return;
+
+        // Blend the clip time towards the next frame unless the clip restarted or stopped
+        const next = to.a.find(entry => entry[0] === name);
+        const nextTime = next && next[1] >= time ? next[1] : time;
+
+        const action = mixer.clipAction(clip);
+        action.play();
+        action.time = THREE.MathUtils.lerp(time, nextTime, blend);
+        action.setEffectiveWeight(weight);
+    });
+
+    mixer.update(0);
+}
+
+// Remember what playback changes: transforms, visibility, the camera and the billboards
+function saveReplaySceneState(recording) {
+    return {
+        actors: recording.actors.map(id => {
+            const actor = getActor(id);
+            return actor ? {
+                actor: actor,
+                position: actor.object.position.clone(),
+                quaternion: actor.object.quaternion.clone(),
+                scale: actor.object.scale.clone(),
+                visible: actor.object.visible
+            } : null;
+        }).filter(Boolean),
+        cameraPosition: camera.position.clone(),
+        cameraTarget: controls.target.clone(),
+        buttons: scene.children
+            .filter(child => child.name === 'welcomeButton' || child.name === 'goodbyeButton')
+            .map(button => {
+                const visible = button.visible;
+                button.visible = false;
+                return { button: button, visible: visible };
+            })
+    };
+}
+
+// Put the scene back as it was before playback
+function restoreReplaySceneState(saved) {
+    saved.actors.forEach(entry => {
+        const object = entry.actor.object;
+        object.position.copy(entry.position);
+        object.quaternion.copy(entry.quaternion);
+        object.scale.copy(entry.scale);
+        object.visible = entry.visible;
+
+        // Hand the skeleton back to the actor's own mixer
+        const mixer = replayState.mixers.get(entry.actor.id);
+        if (mixer) {
+            mixer.stopAllAction();
+            mixer.uncacheRoot(object);
+            replayState.mixers.delete(entry.actor.id);
+        }
+        if (entry.actor.mixer) entry.actor.mixer.update(0);
+    });
+
+    camera.position.copy(saved.cameraPosition);
+    controls.target.copy(saved.cameraTarget);
+    saved.buttons.forEach(entry => entry.button.visible = entry.visible);
+
+    resetInterpolation();
+}
+
+// Pose of a cast member in the frame being shown, if it is in the recording
+function getReplayCastObject(recording, role) {
+    const actor = getActor(recording.cast[role]);
+    return actor && recording.actors.includes(actor.id) ? actor.object : null;
+}
+
+// Where the goal is, or a stand-in before the net has loaded
+function getReplayGoal() {
+    return goalFrame || { left: -1.5, right: 0.5, lineZ: 5.6, direction: 1, center: new THREE.Vector3(-0.5, 1, 5.6) };
+}
+
+// From behind the shooter, looking at the goal
+function placeBehindShooterCamera(recording) {
+    const shooter = getReplayCastObject(recording, 'shooter');
+    const goal = getReplayGoal();
+    if (!shooter) return;
+
+    camera.position.set(shooter.position.x, 1.6, shooter.position.z - 3 * goal.direction);
+    controls.target.copy(goal.center);
+    camera.lookAt(controls.target);
+}
+
+// Level with the goal line, off to one side, watching the ball come in
+function placeGoalLineCamera(recording) {
+    const goal = getReplayGoal();
+    if (!ball) return;
+
+    camera.position.set(Math.min(goal.left, goal.right) - 4, 1.2, goal.lineZ);
+    controls.target.copy(ball.position);
+    camera.lookAt(controls.target);
+}
+
+// Close on the keeper, from in front and to one side
+function placeKeeperCloseUpCamera(recording) {
+    const keeper = getReplayCastObject(recording, 'keeper');
+    const goal = getReplayGoal();
+    if (!keeper) return;
+
+    camera.position.set(keeper.position.x + 1.5, 1.4, keeper.position.z - 2.5 * goal.direction);
+    controls.target.set(keeper.position.x, 0.8, keeper.position.z);
+    camera.lookAt(controls.target);
+}
+
+// Download the last recording as JSON
+function saveReplayFile() {
+    stopReplayRecording();
+
+    if (!replayState.last) {
+        console.log("Nothing to save yet");
+        return;
+    }
+
+    const blob = new Blob([JSON.stringify(replayState.last)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `replay-${replayState.last.seed}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+
+    console.log(`Replay saved as ${link.download}`);
+}
+
+// Pick a replay file and play it
+function loadReplayFile() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+
+    input.addEventListener('change', () => {
+        const file = input.files[0];
+        if (!file) return;
+
+        file.text()
+            .then(text => {
+                const recording = JSON.parse(text);
+                if (!isReplayRecording(recording)) {
+                    throw new Error('not a replay file');
+                }
+
+                stopReplay();
+                replayState.last = recording;
+                startReplay();
+                console.log(`Replay loaded from ${file.name}`);
+            })
+            .catch(error => {
+                console.error(`Couldn't load replay ${file.name}`, error);
+                showErrorToast(`Couldn't load replay ${file.name}`);
+            });
+    });
+
+    input.click();
+}
+
+// Whether loaded JSON has everything playback reads, so a bad file can't leave a broken replay behind
+function isReplayRecording(recording) {
+    if (!recording || recording.version !== replaySettings.version) return false;
+    if (!(typeof recording.fixedStep === 'number' && recording.fixedStep > 0)) return false;
+    if (!recording.cast || typeof recording.cast !== 'object') return false;
+    if (!Array.isArray(recording.actors) || !recording.actors.every(id => typeof id === 'string')) return false;
+    if (!Array.isArray(recording.frames) || recording.frames.length < 2) return false;
+
+    // Each frame has a pose (or null, for an actor that hadn't loaded) per actor
+    const isNumbers = (values, length) => Array.isArray(values) && values.length === length &&
+        values.every(value => typeof value === 'number' && isFinite(value));
+    const isPose = pose => pose === null || (typeof pose === 'object' &&
+        isNumbers(pose.p, 3) && isNumbers(pose.q, 4) && isNumbers(pose.s, 3) &&
+        Array.isArray(pose.a) && pose.a.every(clip => Array.isArray(clip) && clip.length === 3));
+
+    return recording.frames.every(frame => frame && Array.isArray(frame.actors) &&
+        frame.actors.length === recording.actors.length && frame.actors.every(isPose));
+}
+
+// Show the replay speed and camera while playing
+function updateReplayIndicator() {
+    if (!replayIndicator) {
+        replayIndicator = document.createElement('div');
+        replayIndicator.style.position = 'absolute';
+        replayIndicator.style.top = '55px';
+        replayIndicator.style.left = '50%';
+        replayIndicator.style.transform = 'translateX(-50%)';
+        replayIndicator.style.backgroundColor = 'rgba(183, 28, 28, 0.85)';
+        replayIndicator.style.color = '#ffffff';
+        replayIndicator.style.padding = '6px 12px';
+        replayIndicator.style.borderRadius = '8px';
+        replayIndicator.style.fontFamily = "'Segoe UI', Roboto, 'Helvetica Neue', sans-serif";
+        replayIndicator.style.fontSize = '13px';
+        replayIndicator.style.fontWeight = '500';
+        replayIndicator.style.userSelect = 'none';
+        replayIndicator.style.pointerEvents = 'none';
+        replayIndicator.style.zIndex = '1000';
+        document.body.appendChild(replayIndicator);
+    }
+
+    replayIndicator.textContent = `Replay · ${replayState.speed}× · ${replayCameras[replayState.cameraIndex].name}`;
+    replayIndicator.style.display = replayState.playing ? 'block' : 'none';
+}
@@ -0,0 +1,163 @@
+// Root motion - moves a character by the ground travel baked into its Mixamo clips
+//
+// Mixamo clips move the hip bone across the floor while the character's root
+// stays put, so chained clips used to pop back to the root. Here the hips'
+// horizontal travel is taken out of each clip (the hips stay over the root)
+// and applied to the root instead, blended by each action's weight. Because
+// only the change in travel is applied each frame, crossfades and clips
+// started part way through carry on from wherever the character is.
+
+const rootMotionSettings = {
+    hipsName: 'mixamorigHips'
+};
+
+const _rootTravelNow = new THREE.Vector3();
+const _rootTravelThen = new THREE.Vector3();
+const _rootTravelEnd = new THREE.Vector3();
+const _rootMove = new THREE.Vector3();
+const _rootDelta = new THREE.Vector3();
+const _rootKeep = new THREE.Vector3();
+const _rootUp = new THREE.Vector3();
+const _rootQuaternion = new THREE.Quaternion();
+
+// Set an actor up for root motion and take the travel out of its clips
+function setupRootMotion(actor) {
+    let hips = null;
+    actor.object.traverse(node => {
+        if (!hips && node.name === rootMotionSettings.hipsName) hips = node;
+    });
+
+    if (!hips || !hips.parent) {
+        console.warn(`${actor.definition.name} has no ${rootMotionSettings.hipsName} bone, so no root motion`);
+        return;
+    }
+
+    // Find which of the hips' local axes points up, so the other two are the floor
+    actor.object.updateMatrixWorld(true);
+    hips.parent.getWorldQuaternion(_rootQuaternion).invert();
+    _rootUp.set(0, 1, 0).applyQuaternion(_rootQuaternion);
+    const up = [Math.abs(_rootUp.x), Math.abs(_rootUp.y), Math.abs(_rootUp.z)];
+    const upAxis = up.indexOf(Math.max(up[0], up[1], up[2]));
+
+    actor.rootMotion = {
+        hips: hips,
+        floorAxes: [0, 1, 2].filter(axis => axis !== upAxis),
+        curves: new Map(),   // clip -> { times, values } of the original hip positions
+        lastTimes: new Map() // action -> { time, running } as of the last update
+    };
+
+    actor.clips.forEach(clip => addRootMotionClip(actor, clip));
+}
+
+// Take the horizontal hip travel out of a clip and keep it for driving the root
+function addRootMotionClip(actor, clip) {
+    const rootMotion = actor.rootMotion;
+    if (!rootMotion || rootMotion.curves.has(clip)) return;
+
+    const track = clip.tracks.find(t => t.name === `${rootMotion.hips.name}.position`);
+    if (!track) return;
+
+    const values = track.values;
+    rootMotion.curves.set(clip, { times: track.times.slice(), values: values.slice() });
+
+    // Pin the hips over the root on the floor axes
+    for (let i = 3; i < values.length; i += 3) {
+        rootMotion.floorAxes.forEach(axis => {
+            values[i + axis] = values[axis];
+        });
+    }
+}
+
+// Hip travel from the start of a clip to the given time, in the hips' parent space
+function sampleRootTravel(curve, time, target) {
+    const times = curve.times;
+    const values = curve.values;
+    const last = times.length - 1;
+
+    let i = 0;
+    while (i < last && times[i + 1] < time) i++;
+
+    const j = Math.min(i + 1, last);
+    const span = times[j] - times[i];
+    const t = span > 0 ? THREE.MathUtils.clamp((time - times[i]) / span, 0, 1) : 0;
+
+    return target.set(
+        THREE.MathUtils.lerp(values[i * 3], values[j * 3], t) - values[0],
+        THREE.MathUtils.lerp(values[i * 3 + 1], values[j * 3 + 1], t) - values[1],
+        THREE.MathUtils.lerp(values[i * 3 + 2], values[j * 3 + 2], t) - values[2]
+    );
+}
+
+// Move the actor's root by how far its playing clips travelled since the last frame
+// (called straight after its mixer has been updated)
+function applyRootMotion(actor, delta) {
+    const rootMotion = actor.rootMotion;
+    if (!rootMotion) return;
+
+    _rootMove.set(0, 0, 0);
+
+    rootMotion.curves.forEach((curve, clip) => {
+        const action = actor.mixer.existingAction(clip);
+        if (!action) return;
+
+        const last = rootMotion.lastTimes.get(action);
+        rootMotion.lastTimes.set(action, { time: action.time, running: action.isRunning() });
+
+        // Nothing to add on the frame a clip starts, or while it is stopped or paused
+        // (a clip that finished this frame still gets its last bit of travel)
+        if (!last || !last.running || !action.enabled) return;
+
+        const weight = action.getEffectiveWeight();
+        if (weight <= 0) return;
+
+        sampleRootTravel(curve, action.time, _rootTravelNow);
+        sampleRootTravel(curve, last.time, _rootTravelThen);
+
+        if (action.time >= last.time) {
+            _rootDelta.subVectors(_rootTravelNow, _rootTravelThen);
+        } else if (action.loop === THREE.LoopRepeat &&
+                   last.time + delta * action.getEffectiveTimeScale() >= clip.duration - 1e-4) {
+            // Wrapped round a loop: the rest of the last cycle plus the start of this one
+            sampleRootTravel(curve, clip.duration, _rootTravelEnd);
+            _rootDelta.subVectors(_rootTravelEnd, _rootTravelThen).add(_rootTravelNow);
+        } else {
+            // Restarted from the beginning
+            return;
+        }
+
+        _rootMove.addScaledVector(_rootDelta, weight);
+    });
+
+    if (_rootMove.lengthSq() === 0) return;
+
+    rootTravelToWorld(rootMotion, _rootMove);
+
+    actor.object.position.x += _rootMove.x;
+    actor.object.position.z += _rootMove.z;
+}
+
+// How far a clip's root motion moves the actor in the world from the clip's start to the given time
+// (nothing for an actor or clip without root motion)
+function getRootMotionTravel(actor, clip, time, target) {
+    target = target || new THREE.Vector3();
+    const rootMotion = actor.rootMotion;
+    const curve = rootMotion && rootMotion.curves.get(clip);
+    if (!curve) return target.set(0, 0, 0);
+
+    sampleRootTravel(curve, time, target);
+    return rootTravelToWorld(rootMotion, target);
+}
+
+// Turn hip travel in the hips' parent space into floor travel in the world
+function rootTravelToWorld(rootMotion, travel) {
+    // Only the floor travel moves the root; the hips keep their own bob
+    const keep = [0, 0, 0];
+    rootMotion.floorAxes.forEach(axis => keep[axis] = 1);
+    travel.multiply(_rootKeep.fromArray(keep));
+
+    // From the hips' parent space into the world (characters sit straight in the scene)
+    const hipsParent = rootMotion.hips.parent;
+    hipsParent.updateWorldMatrix(true, false);
+    _rootKeep.setFromMatrixPosition(hipsParent.matrixWorld);
+    return travel.applyMatrix4(hipsParent.matrixWorld).sub(_rootKeep);
+}
@@ -0,0 +1,35 @@
+// Sequence scripts for the choreography engine
+//
+// Scripts are plain JSON so new skits can also live in their own .json files
+// and be loaded with loadSequenceScript().
+
+// The original show: pig kicks, ball flies, duck dives, then both react to the outcome
+// (save: the duck flips and dances, goal: the pig celebrates, miss: the duck dances)
+// The camera follows the ball, cuts behind the net for a save or a goal, then
+// circles the keeper while it dances.
+// The dive itself is played by the keeper AI, which sets "keeperDive" when it is over.
+// Tracks are keyed by role; the game decides who plays each one (currentCast in main.js).
+const defaultSequenceScript = {
+    "name": "pig-kick-duck-save",
+    "tracks": {
+        "shooter": [
+            { "id": "kick", "role": "kick", "at": 0, "loop": "once", "next": "followThrough" },
+            { "id": "followThrough", "role": "followThrough", "loop": "once", "hold": true, "startFrame": 5, "crossfade": 150, "next": "react" },
+            { "id": "react", "branch": "outcome", "cases": { "goal": "celebrate" }, "default": "sulk" },
+            { "id": "celebrate", "role": "run", "loop": "repeat", "crossfade": 300 },
+            { "id": "sulk", "role": "idle", "loop": "repeat", "crossfade": 500 }
+        ],
+        "keeper": [
+            { "id": "dive", "at": 0, "branch": "keeperDive", "default": "react" },
+            { "id": "react", "branch": "outcome", "cases": { "save": "flip", "goal": "getUp" }, "default": "gloat" },
+            { "id": "flip", "role": "flip", "loop": "once", "hold": true, "actions": [{ "action": "cameraShot", "args": ["behindNet"] }, "showGoodbye"], "next": "dance" },
+            { "id": "dance", "role": "dance", "loop": "repeat", "crossfade": 500, "actions": [{ "action": "cameraShot", "args": ["dollyKeeper"] }] },
+            { "id": "getUp", "role": "standUp", "loop": "once", "hold": true, "actions": [{ "action": "cameraShot", "args": ["behindNet"] }, "showGoodbye"] },
+            { "id": "gloat", "role": "dance", "loop": "repeat", "crossfade": 500, "actions": [{ "action": "cameraShot", "args": ["dollyKeeper"] }, "showGoodbye"] }
+        ]
+    },
+    "cues": [
+        { "at": 800, "action": "kickBall" },
+        { "at": 800, "action": "cameraShot", "args": ["followBall"] }
+    ]
+};
@@ -0,0 +1,229 @@
+// Penalty shootout - five kicks each, then sudden death, with a scoreboard
+//
+// The pig and the duck take turns to shoot, swapping between shooter and
+// keeper each kick. The welcome and goodbye billboards announce each kick
+// and its result, and the goodbye billboard moves the shootout along.
+
+const shootoutSettings = {
+    regulationKicks: 5
+};
+
+// State of the shootout in progress
+const shootoutState = {
+    active: false,
+    order: ['pig', 'duck'], // Who shoots first
+    kicks: { pig: [], duck: [] }, // true for a goal, false for a miss
+    turn: 0,
+    winner: null
+};
+
+// Scoreboard elements
+let scoreboard, scoreboardRows = {}, scoreboardStatus;
+
+// Start a new shootout
+function startShootout() {
+    shootoutState.active = true;
+    shootoutState.kicks = {};
+    shootoutState.order.forEach(name => shootoutState.kicks[name] = []);
+    shootoutState.turn = 0;
+    shootoutState.winner = null;
+    restartRandomStreams(); // The same kicks make the same shootout
+
+    if (!scoreboard) createScoreboard();
+    scoreboard.style.display = 'block';
+
+    console.log("Penalty shootout started");
+    prepareShootoutKick();
+}
+
+// Leave the shootout and go back to the normal show
+function endShootout() {
+    shootoutState.active = false;
+    if (scoreboard) scoreboard.style.display = 'none';
+
+    resetScene({ shooter: 'pig', keeper: 'duck' });
+    updateWelcomeButton('Welcome!', getActionText('start'));
+
+    console.log("Penalty shootout ended");
+}
+
+// Whose kick it is
+function getShootoutShooter() {
+    return shootoutState.order[shootoutState.turn % 2];
+}
+
+// Current round, counting from 1
+function getShootoutRound() {
+    return Math.floor(shootoutState.turn / 2) + 1;
+}
+
+// Set the scene up for the next kick
+function prepareShootoutKick() {
+    const shooter = getShootoutShooter();
+    const keeper = shootoutState.order.find(name => name !== shooter);
+
+    resetScene({ shooter: shooter, keeper: keeper });
+    updateWelcomeButton(`Round ${getShootoutRound()} — ${getActorName(shooter)} to shoot`, getActionText('start'));
+    updateScoreboard();
+}
+
+// Record a kick and see if the shootout is decided
+function recordShootoutKick(shooter, outcome) {
+    shootoutState.kicks[shooter].push(outcome === 'goal');
+    shootoutState.turn++;
+    shootoutState.winner = decideShootoutWinner();
+
+    updateScoreboard();
+
+    if (shootoutState.winner) {
+        console.log(`Shootout won by ${shootoutState.winner} ${getShootoutScoreline(shootoutState.winner)}`);
+    }
+}
+
+// Goals scored so far
+function getShootoutGoals(name) {
+    return shootoutState.kicks[name].filter(goal => goal).length;
+}
+
+// Score from the point of view of one side, e.g. "3–2"
+function getShootoutScoreline(name) {
+    const other = shootoutState.order.find(side => side !== name);
+    return `${getShootoutGoals(name)}–${getShootoutGoals(other)}`;
+}
+
+// Work out whether either side has won
+function decideShootoutWinner() {
+    const first = shootoutState.order[0];
+    const second = shootoutState.order[1];
+    const firstGoals = getShootoutGoals(first);
+    const secondGoals = getShootoutGoals(second);
+    const firstKicks = shootoutState.kicks[first].length;
+    const secondKicks = shootoutState.kicks[second].length;
+    const regulation = shootoutSettings.regulationKicks;
+
+    // During the first five kicks, stop as soon as one side can't catch up
+    if (firstKicks <= regulation && secondKicks <= regulation) {
+        if (firstGoals > secondGoals + (regulation - secondKicks)) return first;
+        if (secondGoals > firstGoals + (regulation - firstKicks)) return second;
+        return null;
+    }
+
+    // Sudden death: decided once both have kicked in a round and the scores differ
+    if (firstKicks === secondKicks && firstGoals !== secondGoals) {
+        return firstGoals > secondGoals ? first : second;
+    }
+
+    return null;
+}
+
+// Goodbye billboard for the kick that just finished
+function getShootoutBanner(outcome) {
+    if (shootoutState.winner) {
+        return {
+            title: `${getActorName(shootoutState.winner)} wins ${getShootoutScoreline(shootoutState.winner)}`,
+            subtitle: getActionText('play again'),
+            colors: ['#FFB300', '#E65100'],
+            onClick: startShootout
+        };
+    }
+
+    const scored = outcome === 'goal';
+    const titles = { goal: 'Goal!', save: 'Saved!', wide: 'Wide!', over: 'Over the Bar!', post: 'Off the Post!', short: 'Too Short!' };
+
+    return {
+        title: titles[outcome] || 'Saved!',
+        subtitle: getActionText('next kick'),
+        colors: scored ? ['#43A047', '#1B5E20'] : ['#FF3333', '#990000'],
+        onClick: prepareShootoutKick
+    };
+}
+
+// Create the scoreboard overlay
+function createScoreboard() {
+    scoreboard = document.createElement('div');
+    scoreboard.style.position = 'absolute';
+    scoreboard.style.top = '15px';
+    scoreboard.style.left = '50%';
+    scoreboard.style.transform = 'translateX(-50%)';
+    scoreboard.style.backgroundColor = 'rgba(33, 33, 33, 0.85)';
+    scoreboard.style.color = '#e0e0e0';
+    scoreboard.style.padding = '10px 16px';
+    scoreboard.style.borderRadius = '8px';
+    scoreboard.style.fontFamily = "'Segoe UI', Roboto, 'Helvetica Neue', sans-serif";
+    scoreboard.style.fontSize = '16px';
+    scoreboard.style.userSelect = 'none';
+    scoreboard.style.zIndex = '1000';
+    scoreboard.style.boxShadow = '0 4px 8px rgba(0, 0, 0, 0.2)';
+    scoreboard.style.display = 'none';
+
+    // Round / sudden death line
+    scoreboardStatus = document.createElement('div');
+    scoreboardStatus.style.textAlign = 'center';
+    scoreboardStatus.style.fontWeight = '500';
+    scoreboardStatus.style.marginBottom = '6px';
+    scoreboard.appendChild(scoreboardStatus);
+
+    // One row per side: name, kick markers and score
+    shootoutState.order.forEach(name => {
+        const row = document.createElement('div');
+        row.style.display = 'flex';
+        row.style.alignItems = 'center';
+        row.style.gap = '10px';
+        row.style.padding = '2px 0';
+
+        const label = document.createElement('span');
+        label.style.width = '60px';
+        label.textContent = getActorName(name);
+
+        const markers = document.createElement('span');
+        markers.style.letterSpacing = '4px';
+        markers.style.fontFamily = 'monospace';
+
+        const score = document.createElement('span');
+        score.style.fontWeight = 'bold';
+        score.style.marginLeft = 'auto';
+        score.style.paddingLeft = '10px';
+
+        row.appendChild(label);
+        row.appendChild(markers);
+        row.appendChild(score);
+        scoreboard.appendChild(row);
+
+        scoreboardRows[name] = { row: row, markers: markers, score: score };
+    });
+
+    document.body.appendChild(scoreboard);
+}
+
+// Redraw the scoreboard from the shootout state
+function updateScoreboard() {
+    if (!scoreboard) return;
+
+    const regulation = shootoutSettings.regulationKicks;
+    const round = getShootoutRound();
+    const suddenDeath = round > regulation;
+    const shooter = getShootoutShooter();
+
+    if (shootoutState.winner) {
+        scoreboardStatus.textContent = `${getActorName(shootoutState.winner)} wins!`;
+    } else {
+        scoreboardStatus.textContent = suddenDeath ? `Sudden death — round ${round}` : `Round ${round} of ${regulation}`;
+    }
+
+    shootoutState.order.forEach(name => {
+        const kicks = shootoutState.kicks[name];
+        const slots = Math.max(regulation, round);
+        let markers = '';
+
+        // ● goal, ✕ miss, ○ still to kick
+        for (let i = 0; i < slots; i++) {
+            if (i < kicks.length) markers += kicks[i] ? '●' : '✕';
+            else markers += '○';
+        }
+
+        const row = scoreboardRows[name];
+        row.markers.textContent = markers;
+        row.score.textContent = getShootoutGoals(name);
+        row.row.style.color = !shootoutState.winner && name === shooter ? '#FFD54F' : '#e0e0e0';
+    });
+}
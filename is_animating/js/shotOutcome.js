@@ -0,0 +1,118 @@
+// Shot outcomes - watches the ball against the goal frame and decides what happened
+//
+// Outcomes: 'goal', 'save', 'wide', 'over', 'post' and 'short' (the ball
+// stopped or ran out of time before the line without anyone touching it).
+
+// How long a shot can run before we call it (seconds)
+const shotTimeout = 6;
+
+// State of the shot being tracked
+const shotTracker = {
+    active: false,
+    time: 0,
+    touchedKeeper: false,
+    touchedPost: false,
+    previousPosition: new THREE.Vector3(),
+    onResolved: null
+};
+
+// Banner text and colours for each outcome ({shooter} is replaced with the shooter's name)
+const shotOutcomeBanners = {
+    goal: { title: '{shooter} Scores!', colors: ['#43A047', '#1B5E20'] },
+    save: { title: '{shooter} Loses!', colors: ['#FF3333', '#990000'] },
+    wide: { title: 'Wide! {shooter} Loses!', colors: ['#FF3333', '#990000'] },
+    over: { title: 'Over! {shooter} Loses!', colors: ['#FF3333', '#990000'] },
+    post: { title: 'Off the Post!', colors: ['#FF3333', '#990000'] },
+    short: { title: 'Too Short! {shooter} Loses!', colors: ['#FF3333', '#990000'] }
+};
+
+// Listen for the ball touching the keeper or the frame
+ballContactListeners.push(function(type) {
+    if (!shotTracker.active) return;
+    if (type === 'keeper') shotTracker.touchedKeeper = true;
+    if (type === 'post') shotTracker.touchedPost = true;
+});
+
+// Start tracking a shot that has just been kicked
+function startShotTracking(onResolved) {
+    shotTracker.active = true;
+    shotTracker.time = 0;
+    shotTracker.touchedKeeper = false;
+    shotTracker.touchedPost = false;
+    shotTracker.previousPosition.copy(ballState.position);
+    shotTracker.onResolved = onResolved;
+}
+
+// Stop tracking without deciding an outcome
+function cancelShotTracking() {
+    shotTracker.active = false;
+    shotTracker.onResolved = null;
+}
+
+// Check the ball's latest movement against the goal (called after the physics each frame)
+function updateShotTracking(delta) {
+    if (!shotTracker.active || !goalFrame) return;
+
+    shotTracker.time += delta;
+
+    const frame = goalFrame;
+    const previous = shotTracker.previousPosition;
+    const current = ballState.position;
+
+    // Distance past the goal line, positive once over it
+    const previousDepth = (previous.z - frame.lineZ) * frame.direction;
+    const currentDepth = (current.z - frame.lineZ) * frame.direction;
+
+    // Where the centre of the ball crossed the plane of the goal line
+    if (previousDepth < 0 && currentDepth >= 0) {
+        const t = -previousDepth / (currentDepth - previousDepth);
+        const crossing = new THREE.Vector3().lerpVectors(previous, current, t);
+        const betweenPosts = crossing.x > frame.left && crossing.x < frame.right;
+        const underBar = crossing.y < frame.crossbar;
+
+        if (!betweenPosts || !underBar) {
+            resolveShot(missOutcome(betweenPosts ? 'over' : 'wide'));
+            return;
+        }
+    }
+
+    // The whole ball has to be over the line for a goal
+    if (currentDepth > ballState.radius &&
+        current.x > frame.left && current.x < frame.right && current.y < frame.crossbar) {
+        resolveShot('goal');
+        return;
+    }
+
+    // Rebounding back out after a touch
+    const comingBack = ballState.velocity.z * frame.direction < 0;
+    if (comingBack && (shotTracker.touchedKeeper || shotTracker.touchedPost)) {
+        resolveShot(missOutcome('save'));
+        return;
+    }
+
+    // Stopped short, or taking too long
+    if (!ballState.moving || shotTracker.time > shotTimeout) {
+        resolveShot(missOutcome('short'));
+        return;
+    }
+
+    previous.copy(current);
+}
+
+// Credit a missed shot to whatever the ball touched last on its way out
+function missOutcome(fallback) {
+    if (shotTracker.touchedKeeper) return 'save';
+    if (shotTracker.touchedPost) return 'post';
+    return fallback;
+}
+
+// Finish the shot and report the outcome
+function resolveShot(outcome) {
+    const onResolved = shotTracker.onResolved;
+    shotTracker.active = false;
+    shotTracker.onResolved = null;
+
+    console.log(`Shot outcome: ${outcome}`);
+
+    if (onResolved) onResolved(outcome);
+}
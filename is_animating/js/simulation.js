@@ -0,0 +1,96 @@
+// Simulation - runs the scene in fixed time steps and interpolates what is drawn
+//
+// Animation mixers, root motion, sequences, the keeper and the ball all move
+// in steps of exactly simulationSettings.fixedStep seconds of scene time,
+// however fast frames arrive, so the same seed and input always play out
+// the same. Scene time left over between steps is covered when drawing:
+// registered objects (and their bones) are shown part way between their
+// last two steps, then put back before anything reads them.
+
+const simulationSettings = {
+    fixedStep: 1 / 60,
+    maxStepsPerFrame: 8 // After a long stall, drop the backlog rather than catch up
+};
+
+const simulationState = {
+    accumulator: 0, // Scene seconds not yet simulated
+    steps: 0,       // Steps since the start
+    time: 0,        // Simulated seconds since the start
+    alpha: 0        // How far drawing is between the last step and the next
+};
+
+// Nodes drawn interpolated: { node, previousPosition, previousQuaternion, position, quaternion }
+const interpolatedNodes = [];
+
+// Draw an object (and any bones under it) interpolated between steps
+function addInterpolatedObject(object) {
+    const entries = [];
+    object.traverse(node => {
+        if (node !== object && !node.isBone) return;
+        entries.push({
+            node: node,
+            previousPosition: node.position.clone(),
+            previousQuaternion: node.quaternion.clone(),
+            position: new THREE.Vector3(),
+            quaternion: new THREE.Quaternion()
+        });
+    });
+    interpolatedNodes.push(...entries);
+
+    object.addEventListener('removed', function onRemoved() {
+        object.removeEventListener('removed', onRemoved);
+        entries.forEach(entry => interpolatedNodes.splice(interpolatedNodes.indexOf(entry), 1));
+    });
+}
+
+// Forget the last step's poses, e.g. after objects have been moved into place
+function resetInterpolation() {
+    interpolatedNodes.forEach(entry => {
+        entry.previousPosition.copy(entry.node.position);
+        entry.previousQuaternion.copy(entry.node.quaternion);
+    });
+}
+
+// Run as many fixed steps as this frame's scene time allows
+function advanceSimulation(delta, step) {
+    const fixedStep = simulationSettings.fixedStep;
+    simulationState.accumulator += delta;
+
+    let count = 0;
+    while (simulationState.accumulator >= fixedStep - 1e-9) {
+        if (count === simulationSettings.maxStepsPerFrame) {
+            simulationState.accumulator = 0;
+            break;
+        }
+
+        resetInterpolation();
+        step(fixedStep);
+
+        simulationState.accumulator -= fixedStep;
+        simulationState.steps++;
+        simulationState.time += fixedStep;
+        count++;
+    }
+
+    simulationState.alpha = Math.max(simulationState.accumulator, 0) / fixedStep;
+}
+
+// Show interpolated poses for drawing
+function beginInterpolatedRender() {
+    const alpha = simulationState.alpha;
+    interpolatedNodes.forEach(entry => {
+        const node = entry.node;
+        entry.position.copy(node.position);
+        entry.quaternion.copy(node.quaternion);
+        node.position.lerpVectors(entry.previousPosition, entry.position, alpha);
+        node.quaternion.slerpQuaternions(entry.previousQuaternion, entry.quaternion, alpha);
+    });
+}
+
+// Put the simulated poses back once drawn
+function endInterpolatedRender() {
+    interpolatedNodes.forEach(entry => {
+        entry.node.position.copy(entry.position);
+        entry.node.quaternion.copy(entry.quaternion);
+    });
+}
@@ -0,0 +1,103 @@
+// Time control - pause, slow motion and single-frame stepping for the whole scene
+//
+// The animation loop turns each real frame's delta into scene time here, and
+// everything that moves (mixers, root motion, the ball, the keeper, sequences,
+// tweens, clouds and buttons) runs on scene time, so they all pause, slow down
+// and step together. The camera controls, camera moves (tweens started with
+// realTime) and the quality governor stay on real time. An indicator in the
+// bottom-right corner shows when time isn't running normally.
+//
+//   Z      pause / resume
+//   [ ]    slower / faster (0.1x to 2x)
+//   .      step one frame (pauses first if running)
+
+const timeSettings = {
+    scales: [0.1, 0.25, 0.5, 1, 1.5, 2], // Time scales [ and ] step through
+    stepDelta: simulationSettings.fixedStep // Scene seconds a frame step advances (one simulation step)
+};
+
+const timeControl = {
+    paused: false,
+    timeScale: 1,
+    pendingSteps: 0,
+    elapsed: 0,   // Scene seconds since the start
+    realDelta: 0  // This frame's real delta, for things that ignore pausing
+};
+
+let timeIndicator;
+
+// Turn a real frame delta into scene time (0 while paused, unless stepping)
+function advanceSceneTime(realDelta) {
+    timeControl.realDelta = realDelta;
+    let delta = realDelta * timeControl.timeScale;
+
+    if (timeControl.paused) {
+        delta = timeControl.pendingSteps > 0 ? timeSettings.stepDelta : 0;
+        timeControl.pendingSteps = Math.max(timeControl.pendingSteps - 1, 0);
+    }
+
+    timeControl.elapsed += delta;
+    return delta;
+}
+
+// Pause or resume scene time
+function setTimePaused(paused) {
+    timeControl.paused = paused;
+    timeControl.pendingSteps = 0;
+    updateTimeIndicator();
+    console.log(paused ? "Time paused" : "Time resumed");
+}
+
+function toggleTimePaused() {
+    setTimePaused(!timeControl.paused);
+}
+
+// Set the time scale (clamped to the slowest and fastest scales)
+function setTimeScale(scale) {
+    const scales = timeSettings.scales;
+    timeControl.timeScale = THREE.MathUtils.clamp(scale, scales[0], scales[scales.length - 1]);
+    updateTimeIndicator();
+    console.log(`Time scale: ${timeControl.timeScale}x`);
+}
+
+// Move to the next slower (-1) or faster (+1) time scale
+function stepTimeScale(direction) {
+    const scales = timeSettings.scales;
+    const index = scales.findIndex(scale => scale >= timeControl.timeScale);
+    const current = index === -1 ? scales.length - 1 : index;
+    setTimeScale(scales[THREE.MathUtils.clamp(current + direction, 0, scales.length - 1)]);
+}
+
+// Advance a single frame, pausing first if time is running
+function stepTimeFrame() {
+    if (!timeControl.paused) setTimePaused(true);
+    timeControl.pendingSteps++;
+}
+
+// Show "Paused" and/or the time scale while either differs from normal
+function updateTimeIndicator() {
+    if (!timeIndicator) {
+        timeIndicator = document.createElement('div');
+        timeIndicator.style.position = 'absolute';
+        timeIndicator.style.bottom = '15px'; // A corner of its own, clear of the shootout scoreboard
+        timeIndicator.style.right = '15px';
+        timeIndicator.style.backgroundColor = 'rgba(33, 33, 33, 0.85)';
+        timeIndicator.style.color = '#e0e0e0';
+        timeIndicator.style.padding = '6px 12px';
+        timeIndicator.style.borderRadius = '8px';
+        timeIndicator.style.fontFamily = "'Segoe UI', Roboto, 'Helvetica Neue', sans-serif";
+        timeIndicator.style.fontSize = '13px';
+        timeIndicator.style.fontWeight = '500';
+        timeIndicator.style.userSelect = 'none';
+        timeIndicator.style.pointerEvents = 'none';
+        timeIndicator.style.zIndex = '1000';
+        document.body.appendChild(timeIndicator);
+    }
+
+    const parts = [];
+    if (timeControl.paused) parts.push('Paused');
+    if (timeControl.timeScale !== 1) parts.push(`${timeControl.timeScale}×`);
+
+    timeIndicator.textContent = parts.join(' · ');
+    timeIndicator.style.display = parts.length > 0 ? 'block' : 'none';
+}
@@ -0,0 +1,171 @@
+// Tweens - timed transitions of vectors, colours, opacity and scale, run off the scene clock
+//
+// startTween is the general form: it calls onUpdate with the eased progress
+// (0 to 1) every frame for its duration. The helpers below tween a value
+// towards a target and replace any tween already running on that value.
+// Every tween is also a promise-like: it resolves with true when it finishes
+// and false if it is cancelled, so `await` and `.then` work on it, and
+// chainTweens runs steps one after another. Tweens move with scene time, so
+// pausing or slowing it (see timeControl.js, or tweenSettings for tweens
+// alone) holds or slows them too; a realTime tween ignores both. resetScene
+// cancels whatever is still running.
+
+// Standard easing curves, each mapping progress 0..1 to 0..1
+const easings = {
+    linear: t => t,
+    easeInQuad: t => t * t,
+    easeOutQuad: t => t * (2 - t),
+    easeInOutQuad: t => t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2,
+    easeInCubic: t => t * t * t,
+    easeOutCubic: t => 1 - Math.pow(1 - t, 3),
+    easeInOutCubic: t => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2,
+    easeInOutSine: t => -(Math.cos(Math.PI * t) - 1) / 2,
+    easeOutBack: t => 1 + 2.70158 * Math.pow(t - 1, 3) + 1.70158 * Math.pow(t - 1, 2),
+    easeOutBounce: t => {
+        if (t < 1 / 2.75) return 7.5625 * t * t;
+        if (t < 2 / 2.75) return 7.5625 * (t -= 1.5 / 2.75) * t + 0.75;
+        if (t < 2.5 / 2.75) return 7.5625 * (t -= 2.25 / 2.75) * t + 0.9375;
+        return 7.5625 * (t -= 2.625 / 2.75) * t + 0.984375;
+    }
+};
+
+const tweenSettings = {
+    timeScale: 1,
+    paused: false
+};
+
+const activeTweens = new Set();
+
+// Start a tween
+//   duration  seconds (0 finishes on the next frame)
+//   delay     seconds before it starts
+//   easing    one of easings, or any function of progress
+//   target    what it animates, so a newer tween on the same target can replace it
+//   realTime  run on real time, through pauses and slow motion (camera moves)
+//   onStart   called once the delay is over
+//   onUpdate  called every frame with the eased progress
+//   onComplete called when it finishes (not when cancelled)
+function startTween(options) {
+    let resolvePromise;
+    const promise = new Promise(resolve => resolvePromise = resolve);
+
+    const tween = {
+        target: options.target || null,
+        duration: Math.max(options.duration || 0, 0),
+        delay: options.delay || 0,
+        easing: options.easing || easings.linear,
+        realTime: !!options.realTime,
+        elapsed: 0,
+        started: false,
+        running: true,
+        promise: promise,
+        then: (onFinished, onError) => promise.then(onFinished, onError),
+        finish: function(completed) {
+            if (!tween.running) return;
+            tween.running = false;
+            activeTweens.delete(tween);
+            if (completed && options.onComplete) options.onComplete();
+            resolvePromise(completed);
+        },
+        cancel: function() {
+            tween.finish(false);
+        },
+        step: function(delta) {
+            tween.elapsed += delta;
+            if (tween.elapsed < tween.delay) return;
+
+            if (!tween.started) {
+                tween.started = true;
+                if (options.onStart) options.onStart();
+            }
+
+            const progress = tween.duration > 0 ? Math.min((tween.elapsed - tween.delay) / tween.duration, 1) : 1;
+            if (options.onUpdate) options.onUpdate(tween.easing(progress));
+            if (progress >= 1) tween.finish(true);
+        }
+    };
+
+    if (tween.target) cancelTweensOf(tween.target);
+    activeTweens.add(tween);
+    return tween;
+}
+
+// Move a Vector3 (a position, a target, ...) to another value
+function tweenVector(vector, to, options) {
+    const from = vector.clone();
+    const end = to.clone();
+    return startTween(Object.assign({}, options, {
+        target: vector,
+        onStart: () => from.copy(vector),
+        onUpdate: t => vector.lerpVectors(from, end, t)
+    }));
+}
+
+// Blend a THREE.Color to another colour
+function tweenColor(color, to, options) {
+    const from = color.clone();
+    const end = new THREE.Color(to);
+    return startTween(Object.assign({}, options, {
+        target: color,
+        onStart: () => from.copy(color),
+        onUpdate: t => color.copy(from).lerp(end, t)
+    }));
+}
+
+// Fade a material's opacity (it needs to be transparent)
+function tweenOpacity(material, to, options) {
+    let from = material.opacity;
+    return startTween(Object.assign({}, options, {
+        target: material,
+        onStart: () => from = material.opacity,
+        onUpdate: t => material.opacity = THREE.MathUtils.lerp(from, to, t)
+    }));
+}
+
+// Scale an object to a uniform scale or a Vector3
+function tweenScale(object, to, options) {
+    const end = typeof to === 'number' ? new THREE.Vector3(to, to, to) : to;
+    return tweenVector(object.scale, end, options);
+}
+
+// Run tween-starting functions one after another; resolves with false if any step is cancelled
+function chainTweens(steps) {
+    let current = null;
+    let cancelled = false;
+
+    const promise = steps.reduce((previous, step) => previous.then(completed => {
+        if (!completed || cancelled) return false;
+        current = step();
+        return current;
+    }), Promise.resolve(true));
+
+    return {
+        promise: promise,
+        then: (onFinished, onError) => promise.then(onFinished, onError),
+        cancel: function() {
+            cancelled = true;
+            if (current) current.cancel();
+        }
+    };
+}
+
+// Cancel every tween running on a target
+function cancelTweensOf(target) {
+    activeTweens.forEach(tween => {
+        if (tween.target === target) tween.cancel();
+    });
+}
+
+// Cancel everything (see resetScene)
+function cancelAllTweens() {
+    activeTweens.forEach(tween => tween.cancel());
+}
+
+// Advance the tweens by this frame's scene time (real time for realTime tweens)
+function updateTweens(delta) {
+    const scaled = tweenSettings.paused ? 0 : delta * tweenSettings.timeScale;
+    activeTweens.forEach(tween => tween.step(tween.realTime ? timeControl.realDelta : scaled));
+}
+
+// Run with the other per-frame effects
+addUpdatable({ update: updateTweens });
@@ -0,0 +1,102 @@
+// Unfurl image - renders the scene to a 1200x630 PNG for link previews
+//
+// index.html points og:image at images/unfurlphoto.png, which goes stale
+// whenever the scene changes. This renders the scene as it stands, offscreen
+// and at exactly the Open Graph size whatever the window, from a camera
+// bookmark (see cameraViews.js) or the current view, with the billboards
+// left out, and downloads it as unfurlphoto.png ready to drop into images/.
+//
+//   X      export the unfurl image (asks which bookmark to shoot from)
+
+const unfurlSettings = {
+    width: 1200,
+    height: 630,
+    fileName: 'unfurlphoto.png',
+    hiddenNames: ['welcomeButton', 'goodbyeButton'] // Left out of the picture
+};
+
+// Ask which bookmark to shoot from, then export the image
+function promptUnfurlImage() {
+    const names = Object.keys(cameraBookmarks).map(slot => `${slot}: ${cameraBookmarks[slot].name}`);
+    const answer = window.prompt(
+        `Unfurl image from which camera bookmark? Leave blank for the current view.\n${names.join('\n')}`, '');
+    if (answer === null) return; // Cancelled
+
+    const slot = answer.trim();
+    if (slot && !cameraBookmarks[slot]) {
+        showErrorToast(`No camera bookmark ${slot}`);
+        return;
+    }
+
+    exportUnfurlImage(slot ? cameraBookmarks[slot] : null);
+}
+
+// Render the unfurl image from a bookmark (or the current view) and download it
+function exportUnfurlImage(bookmark) {
+    const width = unfurlSettings.width;
+    const height = unfurlSettings.height;
+
+    // A camera of its own, so the window's shape and field of view don't matter
+    const shotCamera = new THREE.PerspectiveCamera(defaultCameraFov, width / height, camera.near, camera.far);
+    const target = new THREE.Vector3();
+    if (bookmark) {
+        shotCamera.position.fromArray(bookmark.position);
+        target.fromArray(bookmark.target);
+    } else {
+        shotCamera.position.copy(camera.position);
+        target.copy(controls.target);
+    }
+    shotCamera.lookAt(target);
+
+    const pixels = renderUnfurlPixels(shotCamera, width, height);
+
+    // WebGL rows run bottom to top; an image's run top to bottom
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d');
+    const image = context.createImageData(width, height);
+    const rowLength = width * 4;
+    for (let y = 0; y < height; y++) {
+        image.data.set(pixels.subarray((height - 1 - y) * rowLength, (height - y) * rowLength), y * rowLength);
+    }
+    for (let i = 3; i < image.data.length; i += 4) {
+        image.data[i] = 255; // Opaque, like the page behind the canvas
+    }
+    context.putImageData(image, 0, 0);
+
+    canvas.toBlob(blob => {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = unfurlSettings.fileName;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+
+        console.log(`Unfurl image saved as ${link.download} (${width}x${height}${bookmark ? `, from "${bookmark.name}"` : ''})`);
+    }, 'image/png');
+}
+
+// Draw the scene into an offscreen target and read it back, with the billboards hidden
+function renderUnfurlPixels(shotCamera, width, height) {
+    const options = { encoding: THREE.sRGBEncoding }; // Same colours as on screen
+    const renderTarget = renderer.capabilities.isWebGL2 ?
+        new THREE.WebGLMultisampleRenderTarget(width, height, options) :
+        new THREE.WebGLRenderTarget(width, height, options);
+
+    const hidden = scene.children.filter(child => unfurlSettings.hiddenNames.includes(child.name) && child.visible);
+    hidden.forEach(child => child.visible = false);
+
+    renderer.setRenderTarget(renderTarget);
+    beginInterpolatedRender();
+    renderer.render(scene, shotCamera);
+    endInterpolatedRender();
+    renderer.setRenderTarget(null);
+
+    hidden.forEach(child => child.visible = true);
+
+    const pixels = new Uint8Array(width * height * 4);
+    renderer.readRenderTargetPixels(renderTarget, 0, 0, width, height, pixels);
+    renderTarget.dispose();
+
+    return pixels;
+}
@@ -0,0 +1,36 @@
+// Updatables - per-frame effects register here rather than being found by name each frame
+//
+// An updatable is any object with update(dt, elapsed), both in seconds. The
+// animation loop calls every registered one once per frame, in the order
+// they were added. Effects tied to a scene object use addObjectUpdatable,
+// which drops the update again when the object is taken out of the scene.
+
+const updatables = new Set();
+
+// Start calling an updatable every frame
+function addUpdatable(updatable) {
+    updatables.add(updatable);
+    return updatable;
+}
+
+// Stop calling it
+function removeUpdatable(updatable) {
+    updatables.delete(updatable);
+}
+
+// Run update(dt, elapsed) for an object until it is removed from its parent
+function addObjectUpdatable(object, update) {
+    const updatable = addUpdatable({ object: object, update: update });
+
+    object.addEventListener('removed', function onRemoved() {
+        object.removeEventListener('removed', onRemoved);
+        removeUpdatable(updatable);
+    });
+
+    return updatable;
+}
+
+// Called once a frame by the animation loop
+function updateUpdatables(delta, elapsed) {
+    updatables.forEach(updatable => updatable.update(delta, elapsed));
+}
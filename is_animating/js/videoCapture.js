@@ -0,0 +1,219 @@
+// Video capture - records the action sequence from the canvas to a WebM clip
+//
+// With record mode on, starting a sequence starts recording the canvas with
+// MediaRecorder, and the clip ends a few seconds after the goodbye billboard
+// comes up (or when the scene is reset, or after maxSeconds at the most).
+// Those seconds are scene time, so pausing or slow motion lengthens the clip
+// rather than cutting the sequence short. Finished clips are listed in the
+// top-left corner as download links.
+//
+// By default the clip is the size of the window. ?capture=1280x720 in the
+// URL records at a fixed size instead, whatever the window, and
+// ?capture=1920x1080@60 sets the frame rate too. While a fixed-size clip
+// is recording, the picture is drawn at that size and fitted to the window.
+//
+//   Y      record mode on / off
+
+const captureSettings = {
+    width: 0,         // 0 records at the window's size
+    height: 0,
+    frameRate: 30,
+    bitsPerSecond: 8000000,
+    tailSeconds: 3,   // Scene seconds kept after the goodbye billboard comes up
+    maxSeconds: 20,   // Scene seconds at the most
+    maxClips: 5,      // Download links kept in the list
+    mimeTypes: ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+};
+
+const captureState = {
+    armed: false,     // Record mode: the next sequence is recorded
+    recorder: null,
+    stream: null,
+    timeLeft: 0,      // Scene seconds until the clip ends
+    clips: []         // { url, name, size } of finished clips, newest first
+};
+
+let capturePanel;
+
+// Whether this browser can record the canvas
+function isVideoCaptureSupported() {
+    return !!(window.MediaRecorder && HTMLCanvasElement.prototype.captureStream);
+}
+
+// Switch record mode on or off (switching off ends a clip being recorded)
+function toggleCaptureMode() {
+    if (!captureState.armed && !isVideoCaptureSupported()) {
+        showErrorToast("This browser can't record video");
+        return;
+    }
+
+    captureState.armed = !captureState.armed;
+    if (!captureState.armed) stopVideoCapture();
+
+    updateCapturePanel();
+    console.log(captureState.armed ? "Record mode on: the next sequence will be recorded" : "Record mode off");
+}
+
+// Start recording the canvas if record mode is on (see startActionSequence)
+function startVideoCapture() {
+    if (!captureState.armed) return;
+    stopVideoCapture();
+
+    const mimeType = captureSettings.mimeTypes.find(type => MediaRecorder.isTypeSupported(type));
+    if (!mimeType) {
+        showErrorToast("This browser can't record WebM video");
+        return;
+    }
+
+    if (captureSettings.width > 0) setCaptureSize();
+
+    const stream = renderer.domElement.captureStream(captureSettings.frameRate);
+    const recorder = new MediaRecorder(stream, { mimeType: mimeType, videoBitsPerSecond: captureSettings.bitsPerSecond });
+    const chunks = [];
+
+    recorder.addEventListener('dataavailable', event => {
+        if (event.data.size > 0) chunks.push(event.data);
+    });
+    recorder.addEventListener('stop', () => addCaptureClip(new Blob(chunks, { type: 'video/webm' })));
+    recorder.addEventListener('error', event => {
+        console.error("Video capture failed", event.error);
+        showErrorToast("Video capture failed");
+    });
+
+    captureState.recorder = recorder;
+    captureState.stream = stream;
+    captureState.timeLeft = captureSettings.maxSeconds;
+    recorder.start(1000); // Hand over data every second rather than all at the end
+
+    updateCapturePanel();
+    const canvas = renderer.domElement;
+    console.log(`Recording video at ${canvas.width}x${canvas.height}, ${captureSettings.frameRate} fps (${mimeType})`);
+}
+
+// End the clip after a few more scene seconds
+function endVideoCaptureAfter(seconds) {
+    if (!captureState.recorder) return;
+    captureState.timeLeft = Math.min(captureState.timeLeft, seconds);
+}
+
+// Count down the clip's scene time and end it when it runs out
+function updateVideoCapture(delta) {
+    if (!captureState.recorder) return;
+
+    captureState.timeLeft -= delta;
+    if (captureState.timeLeft <= 0) stopVideoCapture();
+}
+
+// Stop recording and put the canvas back to the window's size
+function stopVideoCapture() {
+    const recorder = captureState.recorder;
+    if (!recorder) return;
+
+    captureState.recorder = null;
+
+    if (recorder.state !== 'inactive') recorder.stop();
+    captureState.stream.getTracks().forEach(track => track.stop());
+    captureState.stream = null;
+
+    if (captureSettings.width > 0) {
+        renderer.domElement.style.objectFit = '';
+        updateScreenLayout(camera, renderer, defaultCameraFov);
+    }
+
+    updateCapturePanel();
+    console.log("Video capture stopped");
+}
+
+// Put the canvas back to the fixed capture size after a resize or quality change, if recording at one
+function applyCaptureSize() {
+    if (captureSettings.width > 0 && captureState.recorder) setCaptureSize();
+}
+
+// Draw at the fixed capture size
+function setCaptureSize() {
+    renderer.setPixelRatio(1);
+    renderer.setSize(captureSettings.width, captureSettings.height, false); // Leave the on-screen size alone
+    renderer.domElement.style.objectFit = 'contain'; // Letterbox it in the window
+
+    camera.fov = defaultCameraFov;
+    camera.aspect = captureSettings.width / captureSettings.height;
+    camera.updateProjectionMatrix();
+}
+
+// Add a finished clip to the download list
+function addCaptureClip(blob) {
+    if (blob.size === 0) return;
+
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+    captureState.clips.unshift({
+        url: URL.createObjectURL(blob),
+        name: `pig-ball-duck-${stamp}.webm`,
+        size: blob.size
+    });
+
+    // Let go of the oldest clips
+    captureState.clips.splice(captureSettings.maxClips).forEach(clip => URL.revokeObjectURL(clip.url));
+
+    updateCapturePanel();
+    console.log(`Video clip ready: ${captureState.clips[0].name} (${(blob.size / 1048576).toFixed(1)} MB)`);
+}
+
+// Show record mode, the recording light and the clips to download
+function updateCapturePanel() {
+    if (!capturePanel) {
+        capturePanel = document.createElement('div');
+        capturePanel.style.position = 'absolute';
+        capturePanel.style.top = '15px';
+        capturePanel.style.left = '15px';
+        capturePanel.style.display = 'flex';
+        capturePanel.style.flexDirection = 'column';
+        capturePanel.style.gap = '6px';
+        capturePanel.style.backgroundColor = 'rgba(33, 33, 33, 0.85)';
+        capturePanel.style.color = '#e0e0e0';
+        capturePanel.style.padding = '8px 12px';
+        capturePanel.style.borderRadius = '8px';
+        capturePanel.style.fontFamily = "'Segoe UI', Roboto, 'Helvetica Neue', sans-serif";
+        capturePanel.style.fontSize = '13px';
+        capturePanel.style.fontWeight = '500';
+        capturePanel.style.userSelect = 'none';
+        capturePanel.style.zIndex = '1000';
+        capturePanel.addEventListener('click', event => event.stopPropagation()); // Not a click on the scene
+        document.body.appendChild(capturePanel);
+    }
+
+    capturePanel.innerHTML = '';
+
+    const status = document.createElement('div');
+    if (captureState.recorder) {
+        status.textContent = '● Recording';
+        status.style.color = '#FF5252';
+    } else {
+        status.textContent = captureState.armed ? 'Record mode · starts with the next kick' : 'Clips';
+    }
+    capturePanel.appendChild(status);
+
+    captureState.clips.forEach(clip => {
+        const link = document.createElement('a');
+        link.href = clip.url;
+        link.download = clip.name;
+        link.textContent = `Download ${clip.name} (${(clip.size / 1048576).toFixed(1)} MB)`;
+        link.style.color = '#90CAF9';
+        capturePanel.appendChild(link);
+    });
+
+    capturePanel.style.display = captureState.armed || captureState.clips.length > 0 ? 'flex' : 'none';
+}
+
+// Run with the other per-frame effects, on scene time
+addUpdatable({ update: updateVideoCapture });
+
+// Fixed size and frame rate from the URL, e.g. ?capture=1280x720@30
+(function() {
+    const param = new URLSearchParams(window.location.search).get('capture');
+    const match = param && /^(\d+)x(\d+)(?:@(\d+))?$/.exec(param);
+    if (!match) return;
+
+    captureSettings.width = Number(match[1]);
+    captureSettings.height = Number(match[2]);
+    if (match[3]) captureSettings.frameRate = Number(match[3]);
+})();
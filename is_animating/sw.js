@@ -0,0 +1,131 @@
+// Service worker - caches the page, scripts and assets so repeat visits load
+// straight from the cache and the scene works offline
+//
+// Everything in precacheFiles is fetched when the worker installs: the page,
+// the libraries, the scripts, and the models, animations and textures the
+// scene loads (both looks, so switching look works offline too). On a first
+// visit most of those files are fetched before the worker controls the page,
+// so they have to be precached to be there offline. Files that no actor
+// loads (the unrigged duck, the Shaded base.fbx copies) are left out; any
+// other file the page asks for is cached the first time it comes through.
+
+// The cache is only refreshed when this changes. Files are served from the
+// cache first, so after changing ANY file the site serves (a script, a model,
+// a texture) or adding one to precacheFiles, bump this by hand: the browser
+// then sees a new worker, fills a fresh cache and deletes the old one.
+const CACHE_VERSION = 'v15';
+const CACHE_NAME = `pig-ball-duck-${CACHE_VERSION}`;
+
+// Three.js from the CDN, matching the loadScript chain in index.html
+const THREE_CDN = 'https://cdn.jsdelivr.net/npm/three@0.132.2';
+
+const precacheFiles = [
+    // Page
+    './',
+    'index.html',
+    'manifest.json',
+    'images/icon-192.png',
+    'images/icon-512.png',
+
+    // Libraries
+    `${THREE_CDN}/build/three.min.js`,
+    `${THREE_CDN}/examples/js/controls/OrbitControls.js`,
+    `${THREE_CDN}/examples/js/loaders/GLTFLoader.js`,
+    `${THREE_CDN}/examples/js/libs/fflate.min.js`,
+    `${THREE_CDN}/examples/js/loaders/FBXLoader.js`,
+
+    // Scene scripts
+    'js/ballPhysics.js',
+    'js/shotOutcome.js',
+    'js/keeperAI.js',
+    'js/penaltyAim.js',
+    'js/choreography.js',
+    'js/sequences.js',
+    'js/shootout.js',
+    'js/actorDefinitions.js',
+    'js/loadingManager.js',
+    'js/materials.js',
+    'js/rootMotion.js',
+    'js/errorToast.js',
+    'js/placeholderCharacters.js',
+    'js/mobileSupport.js',
+    'js/quality.js',
+    'js/random.js',
+    'js/simulation.js',
+    'js/timeControl.js',
+    'js/updatables.js',
+    'js/tweens.js',
+    'js/actorRegistry.js',
+    'js/replay.js',
+    'js/cameraDirector.js',
+    'js/cameraViews.js',
+    'js/videoCapture.js',
+    'js/unfurlImage.js',
+    'js/main.js',
+
+    // Models and animations (see actorDefinitions.js)
+    'pig/animations/skin/stand.fbx',
+    'pig/animations/no_skin/kick.fbx',
+    'pig/animations/no_skin/run.fbx',
+    'pig/animations/no_skin/goal_save.fbx',
+    'pig/animations/no_skin/stand_up.fbx',
+    'models/ball.glb',
+    'net/fbx/Pbr/base.fbx',
+
+    // Textures for both looks (see materials.js)
+    'pig/fbx/Pbr/texture_diffuse.png',
+    'pig/fbx/Pbr/texture_normal.png',
+    'pig/fbx/Pbr/texture_pbr.png',
+    'pig/fbx/Shaded/shaded.png',
+    'net/fbx/Pbr/texture_diffuse.png',
+    'net/fbx/Pbr/texture_normal.png',
+    'net/fbx/Pbr/texture_pbr.png',
+    'net/fbx/Shaded/shaded.png'
+];
+
+// Fill this version's cache (bypassing the HTTP cache so nothing stale goes in)
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(precacheFiles.map(url => new Request(url, { cache: 'reload' }))))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drop the caches from older versions and take over open pages
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(
+                names
+                    .filter(name => name.startsWith('pig-ball-duck-') && name !== CACHE_NAME)
+                    .map(name => caches.delete(name))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Cache first, then the network (keeping what comes back for next time)
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET' || !request.url.startsWith('http')) return;
+
+    event.respondWith(
+        caches.open(CACHE_NAME).then(cache =>
+            cache.match(request).then(cached => {
+                if (cached) return cached;
+
+                return fetch(request)
+                    .then(response => {
+                        if (response.ok) cache.put(request, response.clone());
+                        return response;
+                    })
+                    .catch(error => {
+                        // Offline: any page request gets the cached page
+                        if (request.mode === 'navigate') return cache.match('index.html');
+                        throw error;
+                    });
+            })
+        )
+    );
+});